@@ -1,4 +1,5 @@
 import Dexie from 'dexie';
+import { search_tokenizer } from '../utils/search_tokenizer.js';
 
 /**
  * KeePost データベースクラス
@@ -141,10 +142,108 @@ export class KeePostDatabase extends Dexie {
       }
     });
     
+    // バージョン8: ローカルメディアテーブルの追加
+    // - media_files: アーカイブから取り込んだ画像・動画のBlob（ポストID＋メディアIDで一意）
+    this.version(8).stores({
+      posts: 'id, sns_type, created_at, year_month, [sns_type+created_at], [sns_type+year_month]',
+      keep_items: 'post_id, kept_at, sns_type',
+      settings: 'key',
+      media_files: '[post_id+media_id], post_id, sns_type'
+    });
+    
+    // バージョン9: アカウント関係テーブルの追加
+    // - account_relations: アーカイブから取り込んだフォロー・ブロック中のアカウント
+    this.version(9).stores({
+      posts: 'id, sns_type, created_at, year_month, [sns_type+created_at], [sns_type+year_month]',
+      keep_items: 'post_id, kept_at, sns_type',
+      settings: 'key',
+      media_files: '[post_id+media_id], post_id, sns_type',
+      account_relations: 'id, sns_type, relation, [sns_type+relation]'
+    });
+    
+    // バージョン10: ポストにインポートIDのインデックスを追加
+    // - import_id: 保存したインポート処理（import_historiesの履歴）との対応
+    this.version(10).stores({
+      posts: 'id, sns_type, created_at, year_month, import_id, [sns_type+created_at], [sns_type+year_month]',
+      keep_items: 'post_id, kept_at, sns_type',
+      settings: 'key',
+      media_files: '[post_id+media_id], post_id, sns_type',
+      account_relations: 'id, sns_type, relation, [sns_type+relation]'
+    });
+    
+    // バージョン11: 全文検索用の2-gram索引テーブルを追加
+    // - search_index: ポストごとの本文の2-gram（gramsはmultiEntryインデックス）
+    this.version(11).stores({
+      posts: 'id, sns_type, created_at, year_month, import_id, [sns_type+created_at], [sns_type+year_month]',
+      keep_items: 'post_id, kept_at, sns_type',
+      settings: 'key',
+      media_files: '[post_id+media_id], post_id, sns_type',
+      account_relations: 'id, sns_type, relation, [sns_type+relation]',
+      search_index: 'post_id, sns_type, created_at, *grams'
+    }).upgrade(async trans => {
+      console.log('[Migration] Version 11: Building search index');
+
+      // 保存済みのポストを分割して索引を作成する
+      const batch_size = 1000;
+      let indexed_count = 0;
+      let last_id = null;
+
+      while (true) {
+        const collection = last_id === null
+          ? trans.posts.orderBy('id')
+          : trans.posts.where('id').above(last_id);
+        const posts = await collection.limit(batch_size).toArray();
+        if (posts.length === 0) break;
+
+        await trans.search_index.bulkPut(posts.map(post => search_tokenizer.create_index_row(post)));
+        indexed_count += posts.length;
+        last_id = posts[posts.length - 1].id;
+      }
+
+      console.log(`[Migration] Version 11: Indexed ${indexed_count} posts`);
+    });
+
+    // バージョン12: 検索索引の作り直し
+    // - かな・全角半角・長音記号・踊り字の正規化を索引に反映する
+    this.version(12).stores({
+      posts: 'id, sns_type, created_at, year_month, import_id, [sns_type+created_at], [sns_type+year_month]',
+      keep_items: 'post_id, kept_at, sns_type',
+      settings: 'key',
+      media_files: '[post_id+media_id], post_id, sns_type',
+      account_relations: 'id, sns_type, relation, [sns_type+relation]',
+      search_index: 'post_id, sns_type, created_at, *grams'
+    }).upgrade(async trans => {
+      console.log('[Migration] Version 12: Rebuilding search index');
+
+      // 保存済みのポストを分割して索引を作成する
+      const batch_size = 1000;
+      let indexed_count = 0;
+      let last_id = null;
+
+      await trans.search_index.clear();
+
+      while (true) {
+        const collection = last_id === null
+          ? trans.posts.orderBy('id')
+          : trans.posts.where('id').above(last_id);
+        const posts = await collection.limit(batch_size).toArray();
+        if (posts.length === 0) break;
+
+        await trans.search_index.bulkPut(posts.map(post => search_tokenizer.create_index_row(post)));
+        indexed_count += posts.length;
+        last_id = posts[posts.length - 1].id;
+      }
+
+      console.log(`[Migration] Version 12: Indexed ${indexed_count} posts`);
+    });
+
     // テーブルの定義
     this.posts = this.table('posts');
     this.keep_items = this.table('keep_items');
     this.settings = this.table('settings');
+    this.media_files = this.table('media_files');
+    this.account_relations = this.table('account_relations');
+    this.search_index = this.table('search_index');
   }
   
   /**
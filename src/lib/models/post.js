@@ -1,3 +1,8 @@
+import { encode_bech32 } from '../utils/nostr_utils.js'
+
+// 返信先を表すsns_specificのキー（SNSごとに異なる）
+export const REPLY_KEYS = ['reply_to_status_id', 'in_reply_to_status_id', 'in_reply_to_id', 'reply_id', 'reply_parent_uri', 'reply']
+
 /**
  * 統一ポストモデル
  * マルチSNS対応の統一データスキーマとバリデーション
@@ -46,11 +51,15 @@ export class PostModel {
     // リポスト判定（リツイート、ブースト、リポスト）
     this.is_repost = data.is_repost || false
 
+    // 種別（'post': 自分の投稿、'like': いいねした他人の投稿、'bookmark': ブックマークした他人の投稿）
+    this.kind = data.kind || 'post'
+
     // リンク情報
     this.original_url = data.original_url || null
 
     // 内部管理用
     this.imported_at = data.imported_at || new Date().toISOString()
+    this.import_id = data.import_id || null  // 保存したインポート処理のID
     this.version = data.version || 2
   }
 
@@ -82,7 +91,7 @@ export class PostModel {
     if (!this.created_at) errors.push('作成日時が必要です')
 
     // SNS種別の検証
-    const valid_sns_types = ['twitter', 'bluesky', 'mastodon']
+    const valid_sns_types = ['twitter', 'bluesky', 'mastodon', 'misskey', 'threads', 'nostr']
     if (this.sns_type && !valid_sns_types.includes(this.sns_type)) {
       errors.push(`無効なSNS種別: ${this.sns_type}`)
     }
@@ -148,6 +157,21 @@ export class PostModel {
         // Mastodonの標準的なURL形式: https://instance/@username/postid
         return `https://${instance}/@${this.author.username}/${this.original_id}`
 
+      case 'misskey':
+        // サーバー名が分からない場合はURLを生成できない
+        if (!this.sns_specific?.instance) {
+          return null
+        }
+        return `https://${this.sns_specific.instance}/notes/${this.original_id}`
+
+      case 'threads':
+        // Threadsのエクスポートには投稿のURL（ショートコード）が含まれない
+        return null
+
+      case 'nostr':
+        // 特定のクライアントに依存しないnjump.meで開く
+        return `https://njump.me/${encode_bech32('note', this.original_id)}`
+
       default:
         return null
     }
@@ -161,7 +185,10 @@ export class PostModel {
     const display_names = {
       twitter: 'Twitter',
       bluesky: 'Bluesky',
-      mastodon: 'Mastodon'
+      mastodon: 'Mastodon',
+      misskey: 'Misskey',
+      threads: 'Threads',
+      nostr: 'Nostr'
     }
 
     return display_names[this.sns_type] || this.sns_type
@@ -175,7 +202,10 @@ export class PostModel {
     const icons = {
       twitter: 'T',
       bluesky: 'B',
-      mastodon: 'M'
+      mastodon: 'M',
+      misskey: 'Mi',
+      threads: 'Th',
+      nostr: 'N'
     }
 
     return icons[this.sns_type] || '?'
@@ -346,8 +376,10 @@ export class PostModel {
       mentions: this.mentions,
       sns_specific: this.sns_specific,
       is_repost: this.is_repost,
+      kind: this.kind,
       original_url: this.original_url,
       imported_at: this.imported_at,
+      import_id: this.import_id,
       version: this.version
     }
   }
@@ -391,7 +423,10 @@ export function create_post_from_raw_data(sns_type, raw_data) {
   const transform_functions = {
     twitter: transform_twitter_data,
     bluesky: transform_bluesky_data,
-    mastodon: transform_mastodon_data
+    mastodon: transform_mastodon_data,
+    misskey: transform_misskey_data,
+    threads: transform_threads_data,
+    nostr: transform_nostr_data
   }
 
   const transform = transform_functions[sns_type]
@@ -416,11 +451,19 @@ function transform_twitter_data(tweet) {
   // リツイートの場合は元のツイートのコンテンツを使用
   const actual_tweet = tweet.retweeted_status || tweet
 
+  // 編集されたツイートは版ごとに別のIDを持つため、最初の版のIDでひとつのポストにまとめる
+  // （editTweetIdsは最初の版から順に全版のIDを持つ）
+  const tweet_id = String(tweet.id_str || tweet.id)
+  const edit_tweet_ids = tweet.edit_info?.initial?.editTweetIds || tweet.edit_info?.edit?.editControlInitial?.editTweetIds || null
+  const initial_tweet_id = tweet.edit_info?.edit?.initialTweetId || null
+  const edit_version_index = edit_tweet_ids ? Math.max(0, edit_tweet_ids.indexOf(tweet_id)) : 0
+  const created_at = new Date(tweet.created_at).toISOString()
+
   return {
-    id: `twitter_${tweet.id_str || tweet.id}`,
-    original_id: tweet.id_str || tweet.id,
+    id: `twitter_${initial_tweet_id || tweet_id}`,
+    original_id: initial_tweet_id || tweet_id,
     sns_type: 'twitter',
-    created_at: new Date(tweet.created_at).toISOString(),
+    created_at,
     content: actual_tweet.full_text || actual_tweet.text || '',
     is_repost: is_repost,
 
@@ -463,7 +506,12 @@ function transform_twitter_data(tweet) {
       reply_to_status_id: tweet.in_reply_to_status_id_str,
       quoted_status_id: tweet.quoted_status_id_str,
       is_quote_status: tweet.is_quote_status,
-      original_author: is_repost ? actual_tweet.user?.screen_name : null
+      original_author: is_repost ? actual_tweet.user?.screen_name : null,
+      edit_tweet_ids,
+      initial_tweet_id,
+      // 何番目の版か（最初の版は0）。編集後の版は投稿日時を編集日時として持つ
+      edit_version_index,
+      edited_at: edit_version_index > 0 ? created_at : null
     }
   }
 }
@@ -611,3 +659,226 @@ function transform_mastodon_data(status) {
     }
   }
 }
+
+/**
+ * Misskeyデータを統一スキーマに変換
+ * @param {Object} note - Misskeyのノート（userはインポーターで補完）
+ * @returns {Object} 統一スキーマデータ
+ */
+function transform_misskey_data(note) {
+  // 本文・添付のないリノートのみをリポストとして扱う（引用リノートは通常の投稿）
+  const is_repost = !!note.renoteId && !note.text && !(note.files?.length) && !note.poll
+
+  const host = note.user?.host || null
+  const username = note.user?.username || 'unknown'
+  const text = note.text || ''
+
+  // リアクションは絵文字ごとの件数で保持されている
+  const reaction_count = Object.values(note.reactions || {}).reduce((total, count) => total + count, 0)
+
+  return {
+    id: `misskey_${note.id}`,
+    original_id: note.id,
+    sns_type: 'misskey',
+    created_at: note.createdAt,
+    content: is_repost ? '[リノート]' : text,
+    is_repost: is_repost,
+
+    author: {
+      name: note.user?.name || username,
+      username: host ? `${username}@${host}` : username,
+      avatar_url: note.user?.avatarUrl || null
+    },
+
+    metrics: {
+      likes: reaction_count,
+      shares: note.renoteCount || 0,
+      replies: note.repliesCount || 0,
+      views: null
+    },
+
+    language: 'ja',
+
+    media: (note.files || []).map(f => ({
+      url: f.url,
+      type: f.type?.startsWith('image/') ? 'photo' : f.type?.startsWith('video/') ? 'video' : f.type,
+      display_url: f.thumbnailUrl || f.url
+    })),
+
+    urls: [],
+
+    hashtags: note.tags || [...text.matchAll(/#([^\s#]+)/g)].map(m => m[1]),
+
+    mentions: [...text.matchAll(/@([a-zA-Z0-9_]+)(?:@([a-zA-Z0-9.-]+))?/g)].map(m => ({
+      screen_name: m[2] ? `${m[1]}@${m[2]}` : m[1],
+      name: m[1]
+    })),
+
+    sns_specific: {
+      instance: host,
+      visibility: note.visibility || 'public',
+      cw: note.cw ?? null,  // CW（注釈）。本文はcontentに保存
+      sensitive: note.cw != null || (note.files || []).some(f => f.isSensitive),
+      reply_id: note.replyId || null,
+      renote_id: note.renoteId || null,
+      is_quote: !!note.renoteId && !is_repost,
+      local_only: note.localOnly || false
+    },
+
+    // リノートの場合はリノート元のノートを開く
+    original_url: host ? `https://${host}/notes/${is_repost ? note.renoteId : note.id}` : null
+  }
+}
+
+/**
+ * Threadsデータを統一スキーマに変換
+ * @param {Object} post - インポーターで正規化したThreadsの投稿
+ * @returns {Object} 統一スキーマデータ
+ */
+function transform_threads_data(post) {
+  const text = post.text || ''
+
+  return {
+    id: `threads_${post.id}`,
+    original_id: post.id,
+    sns_type: 'threads',
+    created_at: new Date(post.creation_timestamp * 1000).toISOString(),
+    content: text,
+    is_repost: false,
+
+    author: {
+      name: post.username || 'Threads User',
+      username: post.username || 'unknown',
+      avatar_url: null
+    },
+
+    // エクスポートにはエンゲージメント情報が含まれない
+    metrics: {
+      likes: 0,
+      shares: 0,
+      replies: 0,
+      views: null
+    },
+
+    language: 'ja',
+
+    media: (post.media || []).map(m => ({
+      url: m.uri,
+      type: /\.(mp4|mov|webm)$/i.test(m.uri) ? 'video' : 'photo',
+      display_url: m.uri.split('/').pop()
+    })),
+
+    urls: [],
+
+    hashtags: [...text.matchAll(/#([^\s#]+)/g)].map(m => m[1]),
+
+    mentions: [...text.matchAll(/@([a-zA-Z0-9._]+)/g)].map(m => ({
+      screen_name: m[1],
+      name: m[1]
+    })),
+
+    sns_specific: {
+      creation_timestamp: post.creation_timestamp
+    },
+
+    original_url: null
+  }
+}
+
+/**
+ * Nostrイベントを統一スキーマに変換
+ * @param {Object} event - Nostrイベント（kind 1: ノート、kind 6: リポスト）
+ * @returns {Object} 統一スキーマデータ
+ */
+function transform_nostr_data(event) {
+  const is_repost = event.kind === 6
+  const tags = event.tags || []
+  const e_tags = tags.filter(tag => tag[0] === 'e' && tag[1])
+  // mentionマーカーのeタグは引用などの言及で、返信先ではない
+  const thread_tags = e_tags.filter(tag => tag[3] !== 'mention')
+
+  // リポストのcontentにはリポスト元のイベントがJSON文字列で入っている場合がある
+  let reposted_event = null
+  if (is_repost && event.content) {
+    try {
+      reposted_event = JSON.parse(event.content)
+    } catch (error) {
+      reposted_event = null
+    }
+  }
+
+  // NIP-10: マーカー付きのeタグを優先し、マーカーがない古い形式は最初をroot、最後をreplyとみなす
+  const has_markers = e_tags.some(tag => tag[3] === 'root' || tag[3] === 'reply' || tag[3] === 'mention')
+  const root_tag = has_markers ? thread_tags.find(tag => tag[3] === 'root') : thread_tags[0]
+  const reply_tag = has_markers
+    ? (thread_tags.find(tag => tag[3] === 'reply') || root_tag)
+    : thread_tags[thread_tags.length - 1]
+
+  const content = is_repost
+    ? (reposted_event?.content || '[リポスト]')
+    : event.content || ''
+
+  const reposted_id = is_repost ? (e_tags[0]?.[1] || reposted_event?.id || null) : null
+
+  const urls = [...content.matchAll(/https?:\/\/[^\s]+/g)].map(m => m[0])
+
+  return {
+    id: `nostr_${event.id}`,
+    original_id: event.id,
+    sns_type: 'nostr',
+    created_at: new Date(event.created_at * 1000).toISOString(),
+    content: content,
+    is_repost: is_repost,
+
+    author: {
+      name: encode_bech32('npub', event.pubkey).slice(0, 16),
+      username: encode_bech32('npub', event.pubkey),
+      avatar_url: null
+    },
+
+    // イベント単体からはリアクション数などは分からない
+    metrics: {
+      likes: 0,
+      shares: 0,
+      replies: 0,
+      views: null
+    },
+
+    language: 'ja',
+
+    // 本文中の画像・動画URLをメディアとして扱う
+    media: urls
+      .filter(url => /\.(jpe?g|png|gif|webp|mp4|mov|webm)(\?.*)?$/i.test(url))
+      .map(url => ({
+        url,
+        type: /\.(mp4|mov|webm)(\?.*)?$/i.test(url) ? 'video' : 'photo',
+        display_url: url
+      })),
+
+    urls: urls.map(url => ({
+      url,
+      expanded_url: url,
+      display_url: url.replace(/^https?:\/\//, '')
+    })),
+
+    hashtags: tags.filter(tag => tag[0] === 't' && tag[1]).map(tag => tag[1]),
+
+    mentions: tags.filter(tag => tag[0] === 'p' && /^[0-9a-f]{64}$/.test(tag[1] || '')).map(tag => ({
+      screen_name: encode_bech32('npub', tag[1]),
+      name: tag[1].slice(0, 8)
+    })),
+
+    sns_specific: {
+      pubkey: event.pubkey,
+      kind: event.kind,
+      root_id: is_repost ? null : root_tag?.[1] || null,
+      reply_id: is_repost ? null : reply_tag?.[1] || null,
+      reposted_id: reposted_id,
+      original_author: is_repost && reposted_event?.pubkey ? encode_bech32('npub', reposted_event.pubkey) : null,
+      sig: event.sig || null
+    },
+
+    // リポストの場合はリポスト元のノートを開く
+    original_url: /^[0-9a-f]{64}$/.test(reposted_id || '') ? `https://njump.me/${encode_bech32('note', reposted_id)}` : null
+  }
+}
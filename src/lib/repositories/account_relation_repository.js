@@ -0,0 +1,82 @@
+import { db } from '../db/database.js';
+
+/**
+ * アカウント関係専用リポジトリ
+ * アーカイブから取り込んだフォロー・ブロック中のアカウントを管理する
+ * Dexie.jsを使用した実装
+ */
+export class AccountRelationRepository {
+  /**
+   * SNSのアカウント関係を置き換える
+   * リポジトリのエクスポートはその時点の全件なので、前回取り込んだ分は削除してから保存する
+   * @param {string} sns_type - SNS種別
+   * @param {Array<Object>} relations - { relation, subject, created_at }の配列
+   * @param {string|null} import_id - 取り込んだインポートのID（インポートの取り消しに使う）
+   * @returns {Promise<void>}
+   */
+  async replace_relations(sns_type, relations, import_id = null) {
+    try {
+      const imported_at = new Date().toISOString();
+      const items = relations.map(relation => ({
+        ...relation,
+        id: `${sns_type}_${relation.relation}_${relation.subject}`,
+        sns_type,
+        import_id,
+        imported_at
+      }));
+
+      await db.transaction('rw', db.account_relations, async () => {
+        await db.account_relations.where('sns_type').equals(sns_type).delete();
+        await db.account_relations.bulkPut(items);
+      });
+
+    } catch (error) {
+
+      throw new Error('フォロー・ブロック情報の保存に失敗しました');
+    }
+  }
+
+  /**
+   * アカウント関係を取得（新しい順）
+   * @param {string} sns_type - SNS種別
+   * @param {string} relation - 関係の種類（'follow' | 'block'）
+   * @returns {Promise<Array<Object>>} アカウント関係の配列
+   */
+  async get_relations(sns_type, relation) {
+    try {
+      const items = await db.account_relations
+        .where('[sns_type+relation]')
+        .equals([sns_type, relation])
+        .toArray();
+
+      return items.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+    } catch (error) {
+
+      return [];
+    }
+  }
+
+  /**
+   * 関係の種類ごとの件数を取得
+   * @param {string} sns_type - SNS種別
+   * @returns {Promise<Object>} { follow: 件数, block: 件数 }
+   */
+  async get_relation_counts(sns_type) {
+    try {
+      const counts = {};
+      for (const relation of ['follow', 'block']) {
+        counts[relation] = await db.account_relations
+          .where('[sns_type+relation]')
+          .equals([sns_type, relation])
+          .count();
+      }
+      return counts;
+    } catch (error) {
+
+      return { follow: 0, block: 0 };
+    }
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const account_relation_repository = new AccountRelationRepository();
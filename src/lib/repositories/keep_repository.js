@@ -62,6 +62,21 @@ export class KeepRepository {
     }
   }
 
+  /**
+   * 指定ポストのうちKEEP済みのものを取得
+   * @param {Array<string>} post_ids - ポストIDの配列
+   * @returns {Promise<Set<string>>} KEEP済みのポストIDのSet
+   */
+  async get_kept_post_ids(post_ids) {
+    try {
+      const items = await db.keep_items.bulkGet(post_ids);
+      return new Set(items.filter(Boolean).map(item => item.post_id));
+    } catch (error) {
+
+      throw new Error('KEEPアイテムの確認に失敗しました');
+    }
+  }
+
   /**
    * KEEP一覧を取得（ページネーション対応）
    * @param {Object} options - クエリオプション
@@ -131,7 +146,7 @@ export class KeepRepository {
 
       // SNS別の集計
       const by_sns_type = {};
-      const sns_types = ['twitter', 'bluesky', 'mastodon'];
+      const sns_types = ['twitter', 'bluesky', 'mastodon', 'misskey', 'threads', 'nostr'];
 
       for (const sns_type of sns_types) {
         by_sns_type[sns_type] = await db.keep_items
@@ -0,0 +1,93 @@
+import { db } from '../db/database.js';
+
+/**
+ * ローカルメディア専用リポジトリ
+ * アーカイブから取り込んだ画像・動画をBlobとして管理する
+ * Dexie.jsを使用した実装
+ */
+export class MediaRepository {
+  /**
+   * メディアファイルを保存（同じポストID＋メディアIDは上書き）
+   * @param {Array<Object>} media_files - { post_id, media_id, sns_type, file_name, mime_type, blob }の配列
+   * @returns {Promise<void>}
+   */
+  async save_media_files(media_files) {
+    try {
+      if (!media_files || media_files.length === 0) {
+        return;
+      }
+
+      const items = media_files.map(file => ({
+        ...file,
+        size: file.blob?.size || 0,
+        saved_at: new Date().toISOString()
+      }));
+
+      await db.media_files.bulkPut(items);
+
+    } catch (error) {
+
+      throw new Error('メディアファイルの保存に失敗しました');
+    }
+  }
+
+  /**
+   * ポストに紐づくメディアファイルを取得
+   * @param {string} post_id - ポストID
+   * @returns {Promise<Array<Object>>} メディアファイルの配列
+   */
+  async get_media_by_post(post_id) {
+    try {
+      return await db.media_files.where('post_id').equals(post_id).toArray();
+    } catch (error) {
+
+      return [];
+    }
+  }
+
+  /**
+   * アカウント画像の保存キーを取得
+   * ポストIDと衝突しないよう、post_idの代わりにこのキーで保存する
+   * @param {string} sns_type - SNS種別
+   * @param {string} username - ユーザー名
+   * @returns {string} 保存キー
+   */
+  get_account_media_key(sns_type, username) {
+    return `account_${sns_type}_${username}`;
+  }
+
+  /**
+   * アカウントのアバター画像を保存
+   * @param {string} sns_type - SNS種別
+   * @param {string} username - ユーザー名
+   * @param {Object} file - { file_name, mime_type, blob }
+   * @returns {Promise<void>}
+   */
+  async save_account_avatar(sns_type, username, file) {
+    await this.save_media_files([{
+      ...file,
+      post_id: this.get_account_media_key(sns_type, username),
+      media_id: 'avatar',
+      sns_type
+    }]);
+  }
+
+  /**
+   * アカウントのアバター画像を取得
+   * @param {string} sns_type - SNS種別
+   * @param {string} username - ユーザー名
+   * @returns {Promise<Object|null>} メディアファイル
+   */
+  async get_account_avatar(sns_type, username) {
+    try {
+      const record = await db.media_files.get([this.get_account_media_key(sns_type, username), 'avatar']);
+      return record || null;
+    } catch (error) {
+
+      return null;
+    }
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const media_repository = new MediaRepository();
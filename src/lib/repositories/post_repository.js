@@ -1,5 +1,7 @@
+import Dexie from 'dexie';
 import { db } from '../db/database.js';
 import { debug_log, debug_error, debug_warn } from '../utils/debug.js';
+import { search_tokenizer } from '../utils/search_tokenizer.js';
 
 /**
  * マルチSNS対応統一ポストリポジトリ
@@ -43,7 +45,7 @@ export class PostRepository {
 
     try {
       // トランザクション内でバッチ追加
-      const result = await db.transaction('rw', db.posts, async () => {
+      const result = await db.transaction('rw', db.posts, db.search_index, async () => {
         const processed_posts = posts.map(post => {
           // 日付から年月を抽出してインデックス用に追加
           const created_date = new Date(post.created_at);
@@ -104,6 +106,9 @@ export class PostRepository {
           }
         }
 
+        // 保存したポストを検索索引に追加
+        await this.index_posts(saved_posts);
+
         // 保存されたポストを返す
         return saved_posts;
       });
@@ -142,7 +147,7 @@ export class PostRepository {
       }
 
       // トランザクション内でバッチ追加
-      await db.transaction('rw', db.posts, async () => {
+      await db.transaction('rw', db.posts, db.search_index, async () => {
         const processed_posts = new_posts.map(post => {
           // 日付から年月を抽出してインデックス用に追加
           const created_date = new Date(post.created_at);
@@ -151,6 +156,7 @@ export class PostRepository {
         });
 
         await db.posts.bulkAdd(processed_posts);
+        await this.index_posts(processed_posts);
       });
 
       return {
@@ -174,6 +180,12 @@ export class PostRepository {
         return `bluesky_${post.uri || post.cid}`;
       case 'mastodon':
         return `mastodon_${post.id}`;
+      case 'misskey':
+        return `misskey_${post.id}`;
+      case 'threads':
+        return `threads_${post.id}`;
+      case 'nostr':
+        return `nostr_${post.id}`;
       default:
         return `${sns_type}_${post.original_id}`;
     }
@@ -233,10 +245,11 @@ export class PostRepository {
       year_month = null,
       has_media = null,
       language = null,
-      has_links = null
+      has_links = null,
+      kind = null
     } = filter;
 
-    debug_log('Filter values:', { sns_type, is_kept, year_month, has_media, language, has_links });
+    debug_log('Filter values:', { sns_type, is_kept, year_month, has_media, language, has_links, kind });
 
     try {
       // KEEPフィルター専用の処理パス
@@ -320,6 +333,11 @@ export class PostRepository {
           );
         }
 
+        // 種別フィルター
+        if (kind) {
+          filtered_posts = filtered_posts.filter(post => this.get_post_kind(post) === kind);
+        }
+
         debug_log('post_repository.get_posts (KEEP filter) result:', {
           count: filtered_posts.length,
           offset,
@@ -375,6 +393,11 @@ export class PostRepository {
         query = query.filter(post => post.language === language);
       }
 
+      // 種別フィルタリング（自分のポスト / いいね / ブックマーク）
+      if (kind) {
+        query = query.filter(post => this.get_post_kind(post) === kind);
+      }
+
       // ページネーション
       const posts = await query
         .offset(offset)
@@ -407,6 +430,15 @@ export class PostRepository {
     }
   }
 
+  /**
+   * ポストの種別を取得（種別導入前のデータは自分のポストとして扱う）
+   * @param {Object} post - ポスト
+   * @returns {string} 種別（'post' | 'like' | 'bookmark'）
+   */
+  get_post_kind(post) {
+    return post.kind || 'post';
+  }
+
   /**
    * IDでポストを取得
    * @param {string} post_id - ポストID
@@ -424,6 +456,203 @@ export class PostRepository {
     }
   }
 
+  /**
+   * 複数のIDでポストを取得
+   * @param {Array<string>} post_ids - ポストIDの配列
+   * @returns {Promise<Array<Object>>} 見つかったポストの配列
+   */
+  async get_posts_by_ids(post_ids) {
+    await this.ensure_initialized();
+
+    try {
+      const posts = await db.posts.bulkGet(post_ids);
+      return posts.filter(Boolean);
+    } catch (error) {
+
+      return [];
+    }
+  }
+
+  /**
+   * ポストを検索索引に登録
+   * db.search_indexを含むトランザクション内で呼び出す
+   * @param {Post[]} posts - 登録するポスト
+   * @returns {Promise<void>}
+   */
+  async index_posts(posts) {
+    if (posts.length === 0) return;
+    await db.search_index.bulkPut(posts.map(post => search_tokenizer.create_index_row(post)));
+  }
+
+  /**
+   * 検索索引の候補ポストIDを投稿日時順に読み込むカーソルを作成
+   * gram_groupsはすべて満たす必要がある条件で、各グループ内の検索語のいずれかを含むポストが該当する
+   * 最も該当件数の少ないグループの2-gramで候補のポストIDだけを集め、投稿日時の索引をキーだけでたどって順に返す
+   * 2-gramの一致は部分一致の必要条件のため、呼び出し側で本文・残りの条件を照合すること
+   * @param {Array<Array<string[]>>} gram_groups - 検索語ごとの2-gram（1文字の検索語はその1文字）のグループ。空の場合は全件
+   * @param {Object} options - オプション
+   * @param {Array<string>|null} options.post_ids - 対象のポストIDに限定する場合に指定
+   * @param {string|null} options.start_date - この日時以降（ISO形式）
+   * @param {string|null} options.end_date - この日時以前（ISO形式）
+   * @param {string} options.order - 'asc' または 'desc'（投稿日時順）
+   * @returns {Promise<Object>} { estimated_count: 候補数の上限, next(size): 次の候補ID（最大size件、終端では空配列）, done: 終端まで読み込んだか }
+   */
+  async open_search_candidates(gram_groups, { post_ids = null, start_date = null, end_date = null, order = 'desc' } = {}) {
+    await this.ensure_initialized();
+
+    try {
+      let candidate_ids = post_ids ? new Set(post_ids) : null;
+
+      if (gram_groups.length > 0) {
+        // 検索語ごとに最も少ない2-gramを求め、グループの該当件数の上限（その件数の合計）が最小のグループで索引を引く
+        const group_rarest = [];
+        for (const group of gram_groups) {
+          const rarest_grams = [];
+          for (const grams of group) {
+            rarest_grams.push(await this.count_rarest_gram(grams));
+          }
+          group_rarest.push(rarest_grams);
+        }
+
+        const group_counts = group_rarest.map(rarest_grams => rarest_grams.reduce((sum, term) => sum + term.count, 0));
+        const driving_index = group_counts.indexOf(Math.min(...group_counts));
+
+        // どのグループにも索引で絞り込めない検索語がある場合は、すべてのポストを照合する
+        if (Number.isFinite(group_counts[driving_index])) {
+          const matched_ids = new Set();
+          if (group_counts[driving_index] > 0) {
+            for (const { gram } of group_rarest[driving_index]) {
+              for (const post_id of await this.get_search_index_collection(gram).primaryKeys()) {
+                if (!candidate_ids || candidate_ids.has(post_id)) {
+                  matched_ids.add(post_id);
+                }
+              }
+            }
+          }
+          candidate_ids = matched_ids;
+        }
+      }
+
+      const get_created_at_range = (lower, upper) => {
+        const collection = db.search_index.where('created_at').between(lower, upper, true, true);
+        return order === 'desc' ? collection.reverse() : collection;
+      };
+
+      const estimated_count = candidate_ids
+        ? candidate_ids.size
+        : await get_created_at_range(start_date || Dexie.minKey, end_date || Dexie.maxKey).count();
+
+      // 前回読み込んだ位置（最後の投稿日時と、その日時で読み込み済みのID）
+      let bound = null;
+      let ids_at_bound = new Set();
+      let done = candidate_ids !== null && candidate_ids.size === 0;
+
+      const next = async (size) => {
+        if (done) return [];
+
+        const lower = order === 'asc' && bound !== null ? bound : (start_date || Dexie.minKey);
+        const upper = order === 'desc' && bound !== null ? bound : (end_date || Dexie.maxKey);
+        const ids = [];
+        let walked_key = bound;
+        let walked_ids = new Set(ids_at_bound);
+        let stopped = false;
+
+        // 値を読み込まないようキーだけのカーソルでたどり、size件たまったら止める
+        await get_created_at_range(lower, upper)
+          .until(() => {
+            stopped = ids.length >= size;
+            return stopped;
+          })
+          .eachPrimaryKey((post_id, cursor) => {
+            if (cursor.key === bound && ids_at_bound.has(post_id)) return;
+
+            if (cursor.key !== walked_key) {
+              walked_key = cursor.key;
+              walked_ids = new Set();
+            }
+            walked_ids.add(post_id);
+
+            if (!candidate_ids || candidate_ids.has(post_id)) {
+              ids.push(post_id);
+            }
+          });
+
+        bound = walked_key;
+        ids_at_bound = walked_ids;
+        done = !stopped;
+        return ids;
+      };
+
+      return {
+        estimated_count,
+        next,
+        get done() {
+          return done;
+        }
+      };
+    } catch (error) {
+      debug_error('post_repository.open_search_candidates error:', error);
+      throw new Error('検索索引の取得に失敗しました');
+    }
+  }
+
+  /**
+   * 検索語の2-gramのうち、最も該当件数の少ないものを取得
+   * @param {string[]} grams - 検索語の2-gram
+   * @returns {Promise<Object>} { gram, count }（2-gramがなく索引で絞り込めない場合はcountがInfinity）
+   */
+  async count_rarest_gram(grams) {
+    if (grams.length === 0) {
+      return { gram: null, count: Infinity };
+    }
+
+    let rarest = null;
+    for (const gram of grams) {
+      const count = await this.get_search_index_collection(gram).count();
+      if (!rarest || count < rarest.count) {
+        rarest = { gram, count };
+      }
+    }
+    return rarest;
+  }
+
+  /**
+   * 2-gramに該当する索引行のコレクションを取得
+   * 1文字の場合は、その文字で始まる2-gramを前方一致で引く
+   * @param {string} gram - 2-gramまたは1文字
+   * @returns {Collection} Dexieのコレクション
+   */
+  get_search_index_collection(gram) {
+    if (Array.from(gram).length === 1) {
+      // 前方一致では同じポストが複数回該当するため重複を除く
+      return db.search_index.where('grams').startsWith(gram).distinct();
+    }
+    return db.search_index.where('grams').equals(gram);
+  }
+
+  /**
+   * 同じスレッドに属するポストを取得（古い順）
+   * @param {string} sns_type - SNS種別
+   * @param {string} thread_root_id - スレッドの最上位のポストID
+   * @returns {Promise<Array<Object>>} ポストの配列
+   */
+  async get_thread_posts(sns_type, thread_root_id) {
+    await this.ensure_initialized();
+
+    try {
+      const posts = await db.posts
+        .where('sns_type')
+        .equals(sns_type)
+        .filter(post => post.sns_specific?.thread_root_id === thread_root_id)
+        .toArray();
+
+      return posts.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    } catch (error) {
+
+      return [];
+    }
+  }
+
   /**
    * SNS種別でポストを取得
    * @param {string} sns_type - SNS種別
@@ -491,6 +720,11 @@ export class PostRepository {
         );
       }
 
+      // 種別フィルター
+      if (filter.kind) {
+        query = query.filter(post => this.get_post_kind(post) === filter.kind);
+      }
+
       // KEEPフィルター
       if (filter.is_kept === true) {
         // keep_itemsテーブルから取得
@@ -525,14 +759,18 @@ export class PostRepository {
     await this.ensure_initialized();
 
     try {
-      const post = await db.posts.get(post_id);
+      await db.transaction('rw', db.posts, db.search_index, async () => {
+        const post = await db.posts.get(post_id);
 
-      if (!post) {
-        throw new Error('ポストが見つかりません');
-      }
+        if (!post) {
+          throw new Error('ポストが見つかりません');
+        }
 
-      // 更新内容をマージして保存
-      await db.posts.put({ ...post, ...updates });
+        // 更新内容をマージして保存（本文が変わる場合があるため索引も作り直す）
+        const updated_post = { ...post, ...updates };
+        await db.posts.put(updated_post);
+        await this.index_posts([updated_post]);
+      });
     } catch (error) {
 
       throw new Error('ポストの更新に失敗しました');
@@ -547,10 +785,13 @@ export class PostRepository {
     await this.ensure_initialized();
 
     try {
-      await db.transaction('rw', db.posts, db.keep_items, db.settings, async () => {
+      await db.transaction('rw', [db.posts, db.search_index, db.keep_items, db.settings, db.media_files, db.account_relations], async () => {
         await db.posts.clear();
+        await db.search_index.clear();
         await db.keep_items.clear();
         await db.settings.clear();
+        await db.media_files.clear();
+        await db.account_relations.clear();
       });
 
       // localStorage もクリア
@@ -579,10 +820,13 @@ export class PostRepository {
       // Twilogも含める場合の処理
       const sns_types = sns_type === 'twitter' ? ['twitter', 'twilog'] : [sns_type];
 
-      await db.transaction('rw', db.posts, async () => {
-        // 該当SNSの投稿を削除
+      await db.transaction('rw', db.posts, db.search_index, db.media_files, db.account_relations, async () => {
+        // 該当SNSの投稿・検索索引・ローカルメディア・フォローなどのアカウント関係を削除
         for (const type of sns_types) {
           await db.posts.where('sns_type').equals(type).delete();
+          await db.search_index.where('sns_type').equals(type).delete();
+          await db.media_files.where('sns_type').equals(type).delete();
+          await db.account_relations.where('sns_type').equals(type).delete();
         }
       });
 
@@ -592,6 +836,91 @@ export class PostRepository {
     }
   }
 
+  /**
+   * インポートIDで保存したポストが残っているか（インポートを取り消せるか）
+   * @param {string} import_id - インポートID
+   * @returns {Promise<boolean>} 1件以上残っている場合はtrue
+   */
+  async has_posts_by_import_id(import_id) {
+    await this.ensure_initialized();
+
+    try {
+      return await db.posts.where('import_id').equals(import_id).limit(1).count() > 0;
+    } catch (error) {
+
+      return false;
+    }
+  }
+
+  /**
+   * インポートIDで保存したポストを削除（インポートの取り消し）
+   * ポストに付いたKEEP・ローカルメディアと、同じインポートで取り込んだフォロー・ブロックも合わせて削除する
+   * @param {string} import_id - インポートID
+   * @returns {Promise<Object>} { post_count: 削除したポスト数, keep_count: 削除したKEEP数, relation_count: 削除したフォロー・ブロック数 }
+   */
+  async delete_posts_by_import_id(import_id) {
+    await this.ensure_initialized();
+
+    try {
+      return await db.transaction('rw', db.posts, db.search_index, db.keep_items, db.media_files, db.account_relations, async () => {
+        const post_ids = await db.posts.where('import_id').equals(import_id).primaryKeys();
+
+        // KEEPは1件のポストのみを指すため、削除するポストのKEEPだけを消す
+        const keep_ids = await db.keep_items.where('post_id').anyOf(post_ids).primaryKeys();
+
+        await db.keep_items.bulkDelete(keep_ids);
+        await db.media_files.where('post_id').anyOf(post_ids).delete();
+        await db.posts.bulkDelete(post_ids);
+        await db.search_index.bulkDelete(post_ids);
+
+        // フォロー・ブロックは件数が少ないため、索引を持たずに全件から探す
+        const relation_ids = await db.account_relations.filter(item => item.import_id === import_id).primaryKeys();
+        await db.account_relations.bulkDelete(relation_ids);
+
+        return { post_count: post_ids.length, keep_count: keep_ids.length, relation_count: relation_ids.length };
+      });
+
+    } catch (error) {
+
+      throw new Error('インポートの取り消しに失敗しました');
+    }
+  }
+
+  /**
+   * 別のポストにまとめたポストを削除し、KEEPをまとめた先のポストへ移す
+   * まとめた先にKEEPがない場合は、最も早くKEEPしたものを引き継ぐ
+   * @param {Array<string>} post_ids - まとめたポストのID
+   * @param {string} target_id - まとめた先のポストID
+   * @returns {Promise<Object>} { post_count: 削除したポスト数, moved_keep: KEEPを移したか }
+   */
+  async fold_posts_into(post_ids, target_id) {
+    await this.ensure_initialized();
+
+    try {
+      return await db.transaction('rw', db.posts, db.search_index, db.keep_items, db.media_files, async () => {
+        const keeps = await db.keep_items.where('post_id').anyOf(post_ids).toArray();
+        let moved_keep = false;
+
+        if (keeps.length > 0 && !(await db.keep_items.get(target_id))) {
+          const [earliest] = keeps.sort((a, b) => (a.kept_at || '').localeCompare(b.kept_at || ''));
+          await db.keep_items.put({ ...earliest, post_id: target_id });
+          moved_keep = true;
+        }
+
+        await db.keep_items.bulkDelete(keeps.map(keep => keep.post_id));
+        await db.media_files.where('post_id').anyOf(post_ids).delete();
+        await db.posts.bulkDelete(post_ids);
+        await db.search_index.bulkDelete(post_ids);
+
+        return { post_count: post_ids.length, moved_keep };
+      });
+
+    } catch (error) {
+
+      throw new Error('ポストのまとめに失敗しました');
+    }
+  }
+
   /**
    * 設定を保存
    * @param {string} key - 設定キー
@@ -7,7 +7,7 @@ export class ExportService {
   constructor() {
     this.CHUNK_SIZE = 1000
     this.VERSION = 1
-    this.DB_VERSION = 9
+    this.DB_VERSION = 12
   }
 
   async export_all_data(progress_callback = null) {
@@ -0,0 +1,115 @@
+import { post_repository } from '../repositories/post_repository.js'
+
+// settingsテーブルに保存するキー
+const IMPORT_JOB_KEY = 'import_job'
+
+// フィンガープリントに使うファイル先頭・末尾のバイト数
+const FINGERPRINT_SAMPLE_SIZE = 1024 * 1024
+
+/**
+ * インポートジョブ管理サービス
+ * インポートの進行状況をsettingsテーブルに記録し、
+ * タブのクラッシュや再読み込み後に同じファイルで続きから再開できるようにする
+ */
+export class ImportJobService {
+  /**
+   * ファイルのフィンガープリントを計算
+   * 数GBのファイルでも高速に計算できるよう、名前・サイズ・更新日時と先頭・末尾のバイト列から求める
+   * @param {File} file - 対象ファイル
+   * @returns {Promise<string>} フィンガープリント
+   */
+  async compute_fingerprint(file) {
+    const head = await file.slice(0, FINGERPRINT_SAMPLE_SIZE).arrayBuffer()
+    const tail = file.size > FINGERPRINT_SAMPLE_SIZE
+      ? await file.slice(Math.max(FINGERPRINT_SAMPLE_SIZE, file.size - FINGERPRINT_SAMPLE_SIZE)).arrayBuffer()
+      : new ArrayBuffer(0)
+
+    const sample = new Uint8Array(head.byteLength + tail.byteLength)
+    sample.set(new Uint8Array(head), 0)
+    sample.set(new Uint8Array(tail), head.byteLength)
+
+    const digest = await crypto.subtle.digest('SHA-256', sample)
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+
+    return `${file.name}:${file.size}:${file.lastModified || 0}:${hash}`
+  }
+
+  /**
+   * インポートジョブを開始
+   * 再開する場合は前回のジョブのコミット済みバッチを引き継ぐ
+   * @param {Object} params - { import_id, fingerprint, file_name, file_size, sns_type, options }
+   * @param {Object|null} resume_job - 再開する前回のジョブ
+   * @returns {Promise<Object>} インポートジョブ
+   */
+  async start_job({ import_id, fingerprint, file_name, file_size, sns_type, options = {} }, resume_job = null) {
+    const now = new Date().toISOString()
+    const job = {
+      import_id,
+      fingerprint,
+      file_name,
+      file_size,
+      sns_type,
+      options,
+      last_committed_batch: resume_job ? resume_job.last_committed_batch : -1,
+      committed_count: resume_job ? resume_job.committed_count : 0,
+      started_at: resume_job ? resume_job.started_at : now,
+      updated_at: now
+    }
+
+    await post_repository.save_setting(IMPORT_JOB_KEY, job)
+    return job
+  }
+
+  /**
+   * バッチのコミットを記録
+   * @param {number} batch_index - コミットしたバッチの番号
+   * @param {number} count - 保存したポスト数
+   * @returns {Promise<void>}
+   */
+  async record_batch(batch_index, count) {
+    const job = await this.get_pending_job()
+    if (!job) return
+
+    await post_repository.save_setting(IMPORT_JOB_KEY, {
+      ...job,
+      last_committed_batch: batch_index,
+      committed_count: job.committed_count + count,
+      updated_at: new Date().toISOString()
+    })
+  }
+
+  /**
+   * インポートジョブを終了（完了・破棄）
+   * @returns {Promise<void>}
+   */
+  async clear_job() {
+    await post_repository.save_setting(IMPORT_JOB_KEY, null)
+  }
+
+  /**
+   * 途中で終了したインポートジョブを取得
+   * @returns {Promise<Object|null>} インポートジョブ
+   */
+  async get_pending_job() {
+    return (await post_repository.get_setting(IMPORT_JOB_KEY)) || null
+  }
+
+  /**
+   * 選択したファイルで再開できるインポートジョブを取得
+   * @param {File} file - 選択したファイル
+   * @param {string} sns_type - SNS種別
+   * @returns {Promise<Object|null>} 再開できるジョブ（ない場合はnull）
+   */
+  async find_resumable_job(file, sns_type) {
+    const job = await this.get_pending_job()
+    if (!job || job.sns_type !== sns_type || job.file_size !== file.size) {
+      return null
+    }
+
+    const fingerprint = await this.compute_fingerprint(file)
+    return job.fingerprint === fingerprint ? job : null
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const import_job_service = new ImportJobService()
@@ -1,11 +1,20 @@
 import { security_validator } from '../utils/validation.js'
 import { memory_monitor } from '../utils/memory_monitor.js'
+import { sns_type_sniffer } from '../utils/sns_type_sniffer.js'
+import { REPLY_KEYS } from '../models/post.js'
 import { TwitterImporter } from './importers/twitter_importer.js'
+import { TwitterLikesImporter } from './importers/twitter_likes_importer.js'
 import { TwilogImporter } from './importers/twilog_importer.js'
 import { BlueskyImporter } from './importers/bluesky_importer.js'
 import { MastodonImporter } from './importers/mastodon_importer.js'
+import { MisskeyImporter } from './importers/misskey_importer.js'
+import { ThreadsImporter } from './importers/threads_importer.js'
+import { NostrImporter } from './importers/nostr_importer.js'
 import { BackupImporter } from './importers/backup_importer.js'
 
+// プレビューで表示するポストの件数
+const PREVIEW_SAMPLE_SIZE = 5
+
 /**
  * インポート処理サービス
  * マルチSNS対応の統一インポートインターフェース
@@ -18,9 +27,13 @@ export class ImportService {
     // インポーターのマップ
     this.importers = {
       twitter: new TwitterImporter(),
+      twitter_likes: new TwitterLikesImporter(),
       twilog: new TwilogImporter(),
       bluesky: new BlueskyImporter(),
       mastodon: new MastodonImporter(),
+      misskey: new MisskeyImporter(),
+      threads: new ThreadsImporter(),
+      nostr: new NostrImporter(),
       backup: new BackupImporter()
     }
   }
@@ -28,10 +41,10 @@ export class ImportService {
 
   /**
    * マルチSNSデータをインポート
-   * @param {string} sns_type - SNS種別（'twitter' | 'bluesky' | 'mastodon' | 'twilog'）
+   * @param {string} sns_type - SNS種別（'twitter' | 'bluesky' | 'mastodon' | 'misskey' | 'threads' | 'nostr' | 'twilog'）
    * @param {File} file - インポートファイル
-   * @param {Object} options - オプション（progress_callback, twilog_usernameなど）
-   * @returns {Promise<ImportResult>} インポート結果
+   * @param {Object} options - オプション（progress_callback, twilog_usernameなど。preview: trueの場合は保存せずに解析・変換のみ行う）
+   * @returns {Promise<ImportResult>} インポート結果（プレビュー時はpreviewに概要、postsに表示用のサンプル）
    */
   async import_sns_data(sns_type, file, options = {}) {
     console.log('[ImportService] import_sns_data called for:', sns_type, 'with options:', options)
@@ -44,7 +57,74 @@ export class ImportService {
     // import_data_with_diffメソッドを使用（重複チェック付き）
     // optionsをそのまま渡す（progress_callback, twitter_username, twilog_usernameなど全て含む）
     console.log('[ImportService] Calling import_data_with_diff with all options')
-    return await importer.import_data_with_diff(file, options)
+    const result = await importer.import_data_with_diff(file, options)
+
+    if (options.preview && result.success) {
+      result.preview = this.create_preview_summary(result.posts || [], result.skipped_count || 0)
+      result.preview.rejected_count = result.rejected_count || 0
+      result.preview.updated_count = result.updated_count || 0
+      result.preview.upgraded_count = result.upgraded_count || 0
+      result.posts = result.preview.sample_posts
+    }
+
+    return result
+  }
+
+  /**
+   * プレビュー用の概要を作成
+   * @param {Array<PostModel>} posts - 重複を除いた新規ポスト
+   * @param {number} duplicate_count - 保存済みのポストと重複した件数
+   * @returns {Object} { account, date_range, post_count, repost_count, reply_count, like_count, duplicate_count, sample_posts }
+   */
+  create_preview_summary(posts, duplicate_count) {
+    let repost_count = 0
+    let reply_count = 0
+    let like_count = 0
+    let oldest = null
+    let newest = null
+    const author_counts = new Map()
+
+    for (const post of posts) {
+      const specific = post.sns_specific || {}
+
+      const is_own_post = (post.kind || 'post') === 'post'
+
+      if (!is_own_post) {
+        // いいね・ブックマークした他人の投稿
+        like_count++
+      } else if (post.is_repost) {
+        repost_count++
+      } else if (REPLY_KEYS.some(key => specific[key])) {
+        reply_count++
+      }
+
+      if (post.created_at) {
+        if (!oldest || post.created_at < oldest) oldest = post.created_at
+        if (!newest || post.created_at > newest) newest = post.created_at
+      }
+
+      // 自分の投稿の投稿者をアカウントとして検出
+      if (is_own_post && !post.is_repost && post.author?.username) {
+        const entry = author_counts.get(post.author.username) || { author: post.author, count: 0 }
+        entry.count++
+        author_counts.set(post.author.username, entry)
+      }
+    }
+
+    const [account_entry] = [...author_counts.values()].sort((a, b) => b.count - a.count)
+
+    return {
+      account: account_entry ? account_entry.author : null,
+      date_range: oldest ? { oldest, newest } : null,
+      post_count: posts.length - repost_count - reply_count - like_count,
+      repost_count,
+      reply_count,
+      like_count,
+      duplicate_count,
+      sample_posts: [...posts]
+        .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))
+        .slice(0, PREVIEW_SAMPLE_SIZE)
+    }
   }
 
   /**
@@ -54,7 +134,7 @@ export class ImportService {
    * @returns {Promise<ImportResult>} インポート結果
    */
   async import_with_auto_detect(file, progress_callback = null) {
-    const sns_type = this.detect_sns_type(file)
+    const { sns_type } = await this.detect_sns_type(file)
 
     if (!sns_type) {
       throw new Error('ファイル形式を認識できませんでした。SNS種別を選択してください。')
@@ -65,10 +145,36 @@ export class ImportService {
 
   /**
    * ファイルからSNS種別を自動判定
+   * ファイルの内容（マジックナンバー・ヘッダー・キー）で判定し、判定できない場合はファイル名から推測する
+   * 確度は high（内容から確定）/ medium（内容の特徴が一部一致）/ low（ファイル名からの推測・判定不能）
+   * @param {File} file - 判定するファイル
+   * @returns {Promise<Object>} { sns_type: SNS種別（判定できない場合はnull）, confidence: 確度, reason: 判定の根拠 }
+   */
+  async detect_sns_type(file) {
+    const sniffed = await sns_type_sniffer.sniff(file)
+    const sns_type_by_filename = this.detect_sns_type_by_filename(file)
+
+    if (sniffed) {
+      // 内容の特徴が弱くても、ファイル名と一致すれば確定とみなす
+      if (sniffed.confidence === 'medium' && sniffed.sns_type === sns_type_by_filename) {
+        return { ...sniffed, confidence: 'high' }
+      }
+      return sniffed
+    }
+
+    return {
+      sns_type: sns_type_by_filename,
+      confidence: 'low',
+      reason: sns_type_by_filename ? 'ファイル名' : null
+    }
+  }
+
+  /**
+   * ファイル名からSNS種別を推測
    * @param {File} file - 判定するファイル
    * @returns {string|null} SNS種別
    */
-  detect_sns_type(file) {
+  detect_sns_type_by_filename(file) {
     const filename = file.name.toLowerCase()
 
     // バックアップファイルの判定
@@ -77,12 +183,20 @@ export class ImportService {
     }
 
     // ファイル名から判定
-    if (filename === 'tweets.js' || filename.includes('twitter')) {
+    if (filename === 'like.js' || /^like-part\d+\.js$/.test(filename)) {
+      return 'twitter_likes'
+    } else if (filename === 'tweets.js' || filename.includes('twitter')) {
       return 'twitter'
     } else if (filename.endsWith('.car') || filename.includes('bluesky')) {
       return 'bluesky'
     } else if (filename === 'outbox.json' || filename.includes('mastodon')) {
       return 'mastodon'
+    } else if (/^notes-.*\.json$/.test(filename) || filename.includes('misskey')) {
+      return 'misskey'
+    } else if (filename === 'threads_and_replies.json' || filename.includes('threads')) {
+      return 'threads'
+    } else if (filename.endsWith('.jsonl') || filename.includes('nostr')) {
+      return 'nostr'
     } else if (filename.endsWith('.csv') || filename.includes('twilog')) {
       return 'twilog'
     }
@@ -90,6 +204,10 @@ export class ImportService {
     // 拡張子から判定
     if (filename.endsWith('.js')) {
       return 'twitter'  // .jsファイルは通常Twitter
+    } else if (filename.endsWith('.zip')) {
+      return 'twitter'  // .zipファイルはTwitterアーカイブ
+    } else if (filename.endsWith('.tar.gz') || filename.endsWith('.tgz')) {
+      return 'mastodon'  // .tar.gzファイルはMastodonアーカイブ
     }
 
     return null
@@ -0,0 +1,168 @@
+import { import_service } from './import_service.js'
+
+/**
+ * Web Workerでのインポート実行サービス
+ * 解析・変換処理をWorkerに任せ、メインスレッドは進捗表示と保存だけを行う
+ */
+export class ImportWorkerService {
+  constructor() {
+    this.worker = null
+    this.reject_current = null
+    // Workerが使えない環境でメインスレッドのインポートを実行中か・中止が要求されたか
+    this.main_thread_running = false
+    this.main_thread_cancelled = false
+  }
+
+  /**
+   * Worker内でSNSデータをインポート
+   * Workerが使えない環境ではメインスレッドでインポートする
+   * @param {string} sns_type - SNS種別
+   * @param {File} file - インポートファイル
+   * @param {Object} options - オプション（progress_callback, import_job, twilog_usernameなど）
+   * @returns {Promise<ImportResult>} インポート結果
+   */
+  async import_sns_data(sns_type, file, options = {}) {
+    if (typeof Worker === 'undefined') {
+      return await this.import_on_main_thread(sns_type, file, options)
+    }
+
+    if (this.is_running()) {
+      throw new Error('別のインポートを実行中です')
+    }
+
+    const { progress_callback = null, ...worker_options } = options
+
+    return await new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../workers/import_worker.js', import.meta.url), { type: 'module' })
+
+      this.worker = worker
+      this.reject_current = reject
+
+      worker.onmessage = async (event) => {
+        const message = event.data
+
+        switch (message.type) {
+          case 'progress':
+            if (progress_callback) {
+              progress_callback(message.progress)
+            }
+            break
+          case 'done':
+            this.release_worker()
+            resolve(message.result)
+            break
+          case 'error':
+            this.release_worker()
+            reject(new Error(message.message))
+            break
+        }
+      }
+
+      worker.onerror = (event) => {
+        event.preventDefault()
+        this.release_worker()
+        reject(new Error('インポート処理中にエラーが発生しました'))
+      }
+
+      worker.postMessage({ type: 'start', sns_type, file, options: worker_options })
+    })
+  }
+
+  /**
+   * メインスレッドでSNSデータをインポート（Workerが使えない環境用）
+   * 処理を途中で止められないため、中止の要求は次の進捗の通知時に反映する
+   * @param {string} sns_type - SNS種別
+   * @param {File} file - インポートファイル
+   * @param {Object} options - オプション（progress_callback, import_jobなど）
+   * @returns {Promise<ImportResult>} インポート結果
+   */
+  async import_on_main_thread(sns_type, file, options = {}) {
+    if (this.is_running()) {
+      throw new Error('別のインポートを実行中です')
+    }
+
+    const { progress_callback = null } = options
+
+    // 中止が要求されていればインポーター内に例外を投げて処理を打ち切る
+    const check_cancelled = () => {
+      if (this.main_thread_cancelled) {
+        throw this.create_cancel_error()
+      }
+    }
+
+    this.main_thread_running = true
+    this.main_thread_cancelled = false
+
+    try {
+      const result = await import_service.import_sns_data(sns_type, file, {
+        ...options,
+        progress_callback: (progress) => {
+          check_cancelled()
+          if (progress_callback) {
+            progress_callback(progress)
+          }
+        }
+      })
+
+      // インポーターは例外を結果に変換するため、中止されたかどうかはここで判定する
+      check_cancelled()
+      return result
+    } finally {
+      this.main_thread_running = false
+      this.main_thread_cancelled = false
+    }
+  }
+
+  /**
+   * 実行中のインポートを中止
+   * Workerを終了させるため、解析途中の処理も即座に止まる
+   * メインスレッドで実行中の場合は、次の進捗の通知時に止まる
+   * @returns {boolean} 中止した場合true
+   */
+  cancel() {
+    if (this.main_thread_running) {
+      this.main_thread_cancelled = true
+      return true
+    }
+
+    if (!this.worker) return false
+
+    const reject = this.reject_current
+    this.release_worker()
+
+    reject(this.create_cancel_error())
+    return true
+  }
+
+  /**
+   * インポートを実行中か
+   * @returns {boolean} 実行中の場合true
+   */
+  is_running() {
+    return this.worker !== null || this.main_thread_running
+  }
+
+  /**
+   * 中止を表すエラーを作成
+   * @returns {Error} cancelledフラグ付きのエラー
+   */
+  create_cancel_error() {
+    const error = new Error('インポートを中止しました')
+    error.cancelled = true
+    return error
+  }
+
+  /**
+   * Workerを終了して状態をリセット
+   */
+  release_worker() {
+    if (this.worker) {
+      this.worker.terminate()
+    }
+    this.worker = null
+    this.reject_current = null
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const import_worker_service = new ImportWorkerService()
@@ -3,6 +3,7 @@ import { BaseImporter } from './base_importer.js'
 import { db } from '../../db/database.js'
 import { post_repository } from '../../repositories/post_repository.js'
 import { keep_repository } from '../../repositories/keep_repository.js'
+import { search_tokenizer } from '../../utils/search_tokenizer.js'
 
 export class BackupImporter extends BaseImporter {
   constructor() {
@@ -70,9 +71,12 @@ export class BackupImporter extends BaseImporter {
     }
   }
 
+  /**
+   * ファイル名では判定せず、中身（gzipヘッダーとメタデータ行）で検証する
+   * 拡張子を変えたバックアップファイルも受け付けるため
+   */
   validate_file(file) {
-    const filename = file.name.toLowerCase()
-    return filename.endsWith('.ndjson.gz') || filename.endsWith('.ndjson')
+    return !!file && file.size > 0
   }
 
   async decompress_file(file) {
@@ -80,7 +84,8 @@ export class BackupImporter extends BaseImporter {
       const array_buffer = await file.arrayBuffer()
       const uint8_array = new Uint8Array(array_buffer)
       
-      if (file.name.endsWith('.gz')) {
+      // 拡張子ではなくgzipのマジックナンバー（1f 8b）で解凍するか判断する
+      if (uint8_array[0] === 0x1f && uint8_array[1] === 0x8b) {
         const decompressed = pako.ungzip(uint8_array)
         const decoder = new TextDecoder()
         return decoder.decode(decompressed)
@@ -137,7 +142,7 @@ export class BackupImporter extends BaseImporter {
 
   check_version_compatibility(db_version) {
     const MIN_SUPPORTED = 6
-    const MAX_SUPPORTED = 9
+    const MAX_SUPPORTED = 12
     
     if (db_version >= MIN_SUPPORTED && db_version <= MAX_SUPPORTED) {
       return { compatible: true }
@@ -160,10 +165,14 @@ export class BackupImporter extends BaseImporter {
 
   async clear_existing_data() {
     try {
-      await db.transaction('rw', db.posts, db.keep_items, db.settings, async () => {
+      // メディアとフォロー・ブロックはバックアップに含まれないため、ポストと一緒に消さないと復元前のデータが残る
+      await db.transaction('rw', db.posts, db.search_index, db.keep_items, db.settings, db.media_files, db.account_relations, async () => {
         await db.posts.clear()
+        await db.search_index.clear()
         await db.keep_items.clear()
         await db.settings.clear()
+        await db.media_files.clear()
+        await db.account_relations.clear()
       })
     } catch (error) {
       console.error('[BackupImporter] Failed to clear existing data:', error)
@@ -204,7 +213,7 @@ export class BackupImporter extends BaseImporter {
   }
 
   async restore_batch(batch_items, stats) {
-    await db.transaction('rw', db.posts, db.keep_items, db.settings, async () => {
+    await db.transaction('rw', db.posts, db.search_index, db.keep_items, db.settings, async () => {
       for (const item of batch_items) {
         if (!item.type || !item.data) continue
         
@@ -212,6 +221,7 @@ export class BackupImporter extends BaseImporter {
           switch (item.type) {
             case 'post':
               await db.posts.add(item.data)
+              await db.search_index.put(search_tokenizer.create_index_row(item.data))
               stats.posts++
               break
             case 'keep_item':
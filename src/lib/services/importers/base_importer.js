@@ -1,6 +1,20 @@
 import { memory_monitor } from '../../utils/memory_monitor.js'
 import { PostModel } from '../../models/post.js'
 import { post_repository } from '../../repositories/post_repository.js'
+import { import_job_service } from '../import_job_service.js'
+
+// 除外したポストを記録する件数の上限（レポートが大きくなりすぎないように）
+const MAX_REJECTED_RECORDS = 1000
+// 除外したポストの生データを記録する最大文字数
+const REJECTED_SNIPPET_LENGTH = 1000
+
+// 再インポート時に更新するエンゲージメント指標
+const UPDATABLE_METRICS = ['likes', 'shares', 'replies', 'views']
+// 再インポート時に更新する編集情報（sns_specific内のキー）
+const UPDATABLE_EDIT_KEYS = ['edit_tweet_ids', 'initial_tweet_id', 'edited_at']
+
+// Web Worker内で実行されているか（メインスレッドを譲る必要がない）
+const IS_WORKER = typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope
 
 /**
  * 全SNSインポーターの基底クラス
@@ -15,6 +29,14 @@ export class BaseImporter {
     this.sns_type = sns_type
     this.BATCH_SIZE = 500
     this.PROGRESS_UPDATE_INTERVAL = 100
+    this.rejected_posts = []
+    this.rejected_count = 0
+    // 重複時に同じファイル形式のデータで置き換えられる取り込み元（sns_specific.import_source）
+    this.UPGRADABLE_SOURCES = []
+    // 同じ投稿の別の版（編集前後のツイートなど、sns_specific.edit_version_indexを持つ）をひとつのポストにまとめるか
+    this.MERGE_EDIT_VERSIONS = false
+    // 全体を読み込まずに少しずつ読み込むため、ファイルサイズの上限を適用しない拡張子
+    this.STREAMED_EXTENSIONS = []
   }
 
   /**
@@ -27,10 +49,22 @@ export class BaseImporter {
     throw new Error('import_dataメソッドは各インポーターで実装する必要があります')
   }
 
-  // 差分インポート機能付きインポート
+  /**
+   * 差分インポート機能付きインポート
+   * import_jobを指定した場合は重複を除いた新規ポストをバッチごとに保存し、インポート全体の配列としては保持しない
+   * import_jobを指定しない場合（プレビューなど）は、新規ポストを結果のpostsにまとめて返す
+   * @param {File} file - インポートファイル
+   * @param {Object} options - オプション（progress_callback, import_job, import_idなど）
+   * @returns {Promise<ImportResult>} インポート結果
+   */
   async import_data_with_diff(file, options = {}) {
     console.log('[BaseImporter.import_data_with_diff] Starting import with diff check, options:', options)
-    const { progress_callback = null, ...other_options } = options;
+    const { progress_callback = null, import_job = null, ...other_options } = options;
+    const { import_id = null, update_existing = false, preview = false } = other_options;
+
+    // 変換・検証で除外したポストの記録をリセット
+    this.rejected_posts = [];
+    this.rejected_count = 0;
     
     try {
       this.report_progress(progress_callback, {
@@ -43,8 +77,16 @@ export class BaseImporter {
       const existing_ids = await post_repository.get_existing_post_ids(this.sns_type);
       console.log('[BaseImporter.import_data_with_diff] Existing IDs count:', existing_ids.size)
       
-      // スキップ数を追跡
+      // スキップ数・更新数を追跡
       let total_skipped = 0;
+      let total_updated = 0;
+      let total_upgraded = 0;
+
+      // filter_callbackの呼び出し順をバッチ番号として扱う（同じファイルなら毎回同じ順序になる）
+      let batch_index = -1;
+
+      // ジョブ管理外の場合に結果として返す新規ポスト
+      const collected_posts = [];
       
       // ファイルをインポート（サブクラスの実装を呼ぶ）
       // filter_callbackをoptionsオブジェクト内に含める
@@ -53,20 +95,66 @@ export class BaseImporter {
         ...other_options,  // twitter_usernameなどのオプションを含める
         filter_callback: async (posts_batch) => {
           console.log('[BaseImporter.import_data_with_diff] Filter callback called with posts:', posts_batch?.length)
+          batch_index++;
+
+          // 前回のインポートでコミット済みのバッチは読み飛ばす
+          if (import_job && batch_index <= import_job.last_committed_batch) {
+            return [];
+          }
+
+          // 同じバッチ内にある同じ投稿の別の版をまとめる
+          const folded_batch = this.MERGE_EDIT_VERSIONS ? this.fold_edit_versions(posts_batch) : posts_batch;
+          const folded_count = posts_batch.length - folded_batch.length;
+          total_skipped += folded_count;
+
+          // 版ごとに別のポストとして保存済みの後の版を、読み込んだポストの内容へまとめる
+          const stored_folds = this.MERGE_EDIT_VERSIONS
+            ? await this.fold_stored_edit_versions(folded_batch, existing_ids)
+            : new Map();
+
           // 重複チェックを適用
-          const filter_result = await this.filter_duplicates(posts_batch, existing_ids);
-          total_skipped += filter_result.skipped;
+          const filter_result = await this.filter_duplicates(folded_batch, existing_ids);
+
+          // 保存済みのポストと重複した場合、情報の少ない取り込み元のポストを置き換え、
+          // 別の版は新しい版の内容にまとめ、再インポートモードでは内容が変わったポストを更新する
+          const merge_result = filter_result.duplicates.length > 0 && (update_existing || this.UPGRADABLE_SOURCES.length > 0 || this.MERGE_EDIT_VERSIONS)
+            ? await this.merge_existing_posts(filter_result.duplicates, { update_existing, dry_run: preview })
+            : { updated: 0, upgraded: 0 };
+          total_updated += merge_result.updated;
+          total_upgraded += merge_result.upgraded;
+          total_skipped += filter_result.skipped - merge_result.updated - merge_result.upgraded;
+
+          // どのインポートで保存したポストかを記録（インポートの取り消しに使う）
+          if (import_id) {
+            for (const post of filter_result.posts) {
+              post.import_id = import_id;
+            }
+          }
+
+          // ジョブ管理中はバッチごとに保存し、再開位置を記録する
+          if (import_job) {
+            if (filter_result.posts.length > 0) {
+              await post_repository.save_posts(filter_result.posts);
+            }
+            // まとめた先のポストを保存してから、まとめた版を削除してKEEPを移す
+            for (const [target_id, version_ids] of stored_folds) {
+              await post_repository.fold_posts_into(version_ids, target_id);
+            }
+            await import_job_service.record_batch(batch_index, filter_result.posts.length);
+          } else {
+            collected_posts.push(...filter_result.posts);
+          }
           console.log('[BaseImporter.import_data_with_diff] Filter result:', {
             original: posts_batch?.length,
             after_filter: filter_result.posts.length,
-            skipped: filter_result.skipped
+            skipped: filter_result.skipped,
+            folded: folded_count,
+            updated: merge_result.updated,
+            upgraded: merge_result.upgraded
           })
           
-          if (filter_result.posts.length > 0) {
-            // 新規ポストのみを返す
-            return filter_result.posts;
-          }
-          return [];
+          // インポーターは件数を数えるだけで、返したポストを保持しない
+          return filter_result.posts;
         },
         progress_callback
       });
@@ -77,12 +165,30 @@ export class BaseImporter {
         total_skipped
       })
       
+      // ジョブ管理外の場合（プレビューなど）は新規ポストをまとめて返す
+      import_result.posts = collected_posts;
+
+      // 変換・検証で除外したポストをレポートとして添付
+      import_result.rejected_posts = this.rejected_posts;
+      import_result.rejected_count = this.rejected_count;
+
       // インポート結果にスキップ数を追加
       if (import_result.success) {
         import_result.skipped_count = total_skipped;
+        import_result.updated_count = total_updated;
+        import_result.upgraded_count = total_upgraded;
+
+        if (import_job && batch_index >= 0) {
+          // バッチごとに保存済みのため、呼び出し側で再度保存しない
+          import_result.committed = true;
+          import_result.resumed_count = import_job.committed_count;
+        }
         
         // 全件重複の場合のメッセージを調整
-        if (import_result.post_count === 0 && total_skipped > 0) {
+        if (import_result.post_count === 0 && total_updated + total_upgraded > 0) {
+          import_result.message = `新しいポストはありませんが、保存済みの${(total_updated + total_upgraded).toLocaleString()}件を更新しました`;
+
+        } else if (import_result.post_count === 0 && total_skipped > 0) {
           import_result.message = `全${total_skipped.toLocaleString()}件が重複のためスキップされました`;
 
         } else if (total_skipped > 0) {
@@ -100,6 +206,7 @@ export class BaseImporter {
   // 重複をフィルタリングするヘルパーメソッド
   async filter_duplicates(posts, existing_ids) {
     const filtered_posts = [];
+    const duplicate_posts = [];
     let skipped_count = 0;
     
     for (const post of posts) {
@@ -110,6 +217,7 @@ export class BaseImporter {
         // 新しいIDをセットに追加（次のバッチでの重複を防ぐ）
         existing_ids.add(duplicate_key);
       } else {
+        duplicate_posts.push(post);
         skipped_count++;
       }
     }
@@ -120,9 +228,265 @@ export class BaseImporter {
     
     return {
       posts: filtered_posts,
+      duplicates: duplicate_posts,
       skipped: skipped_count
     };
   }
+
+  /**
+   * 保存済みのポストに重複したポストの内容を反映
+   * 同じ投稿の別の版はget_edit_version_mergeでまとめ、取り込み元がUPGRADABLE_SOURCESのポストはget_source_upgradeで置き換え、
+   * それ以外は再インポートモードの場合のみエンゲージメント指標・本文・編集情報を更新する
+   * KEEPは別テーブルでポストIDに紐付くため、どちらの場合もそのまま残る
+   * @param {Array<Object>} posts - 保存済みのポストと重複した変換済みポスト
+   * @param {Object} options - { update_existing: 再インポートモードか, dry_run: 保存せず件数だけを数えるか（プレビュー用） }
+   * @returns {Promise<Object>} { updated: 更新したポスト数, upgraded: 置き換えたポスト数 }
+   */
+  async merge_existing_posts(posts, { update_existing = false, dry_run = false } = {}) {
+    const existing_posts = await post_repository.get_posts_by_ids(posts.map(post => post.id));
+    const existing_map = new Map(existing_posts.map(post => [post.id, post]));
+    const result = { updated: 0, upgraded: 0 };
+
+    for (const post of posts) {
+      const existing = existing_map.get(post.id);
+      if (!existing) continue;
+
+      let updates = null;
+      let is_upgrade = false;
+      const is_edit_version = this.is_other_edit_version(existing, post);
+      if (is_edit_version) {
+        // 古い版の内容で上書きしないよう、別の版は版の新旧だけでまとめる
+        updates = this.get_edit_version_merge(existing, post);
+      } else {
+        if (this.UPGRADABLE_SOURCES.includes(existing.sns_specific?.import_source)) {
+          updates = this.get_source_upgrade(existing, post);
+          is_upgrade = !!updates;
+        }
+        if (!updates && update_existing) {
+          updates = this.get_updated_fields(existing, post);
+        }
+      }
+      if (!updates) continue;
+
+      if (!dry_run) {
+        try {
+          await post_repository.update_post(post.id, updates);
+        } catch (error) {
+          console.warn(`[BaseImporter.merge_existing_posts] Failed to update ${post.id}:`, error);
+          continue;
+        }
+      }
+
+      // 別の版をまとめた分は新しいポストではないため、スキップとして数える
+      if (is_edit_version) {
+        continue;
+      } else if (is_upgrade) {
+        result.upgraded++;
+      } else {
+        result.updated++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 同じIDのポストが同じ投稿の別の版か
+   * @param {Object} existing - 保存済み（または先に読み込んだ）ポスト
+   * @param {Object} incoming - 重複した変換済みポスト
+   * @returns {boolean} 版が異なる場合はtrue
+   */
+  is_other_edit_version(existing, incoming) {
+    return this.MERGE_EDIT_VERSIONS &&
+      (existing.sns_specific?.edit_version_index || 0) !== (incoming.sns_specific?.edit_version_index || 0);
+  }
+
+  /**
+   * 同じ投稿の別の版をまとめる内容を取得
+   * 本文・メディアなどは新しい版のものを、投稿日時は最も古い版（最初の版）のものを使う
+   * @param {Object} existing - 保存済み（または先に読み込んだ）ポスト
+   * @param {Object} incoming - 別の版の変換済みポスト
+   * @returns {Object|null} 更新内容（古い版で変わる項目がない場合はnull）
+   */
+  get_edit_version_merge(existing, incoming) {
+    const existing_version = existing.sns_specific?.edit_version_index || 0;
+    const incoming_version = incoming.sns_specific?.edit_version_index || 0;
+    const updates = {};
+    let sns_specific = existing.sns_specific || {};
+
+    if (incoming_version > existing_version) {
+      updates.content = incoming.content;
+      updates.metrics = incoming.metrics;
+      updates.media = incoming.media;
+      updates.urls = incoming.urls;
+      updates.hashtags = incoming.hashtags;
+      updates.mentions = incoming.mentions;
+      sns_specific = {
+        ...sns_specific,
+        edit_version_index: incoming_version,
+        edited_at: incoming.sns_specific?.edited_at || null
+      };
+    }
+
+    if (incoming.created_at < existing.created_at) {
+      // 後の版を先に読み込んだ場合は、最初の版（最も古い版）の投稿日時に戻す
+      updates.created_at = incoming.created_at;
+      updates.year_month = incoming.year_month;
+    }
+
+    // 全版のIDは最初の版にしかない場合があるため、持っている方を残す
+    const edit_tweet_ids = incoming.sns_specific?.edit_tweet_ids;
+    if (edit_tweet_ids && edit_tweet_ids.length > (sns_specific.edit_tweet_ids?.length || 0)) {
+      sns_specific = { ...sns_specific, edit_tweet_ids };
+    }
+
+    if (sns_specific !== existing.sns_specific) {
+      updates.sns_specific = sns_specific;
+    }
+
+    return Object.keys(updates).length > 0 ? updates : null;
+  }
+
+  /**
+   * バッチ内にある同じ投稿の別の版を最初に出てきたポストへまとめる
+   * @param {Array<Object>} posts - 変換済みポストの配列
+   * @returns {Array<Object>} 別の版を除いたポストの配列
+   */
+  fold_edit_versions(posts) {
+    const first_versions = new Map();
+    const folded_posts = [];
+
+    for (const post of posts) {
+      const first = first_versions.get(post.id);
+      if (!first) {
+        first_versions.set(post.id, post);
+        folded_posts.push(post);
+        continue;
+      }
+      if (this.is_other_edit_version(first, post)) {
+        const updates = this.get_edit_version_merge(first, post);
+        if (updates) {
+          Object.assign(first, updates);
+        }
+        continue;
+      }
+      // 同じ版の重複は通常の重複チェックに任せる
+      folded_posts.push(post);
+    }
+
+    return folded_posts;
+  }
+
+  /**
+   * 同じ投稿の後の版として別のIDで保存済みのポストを、読み込んだポストの内容へまとめる
+   * 版ごとにポストを保存していた頃のデータは、edit_tweet_idsにある最初の版以外のIDで残っている
+   * @param {Array<Object>} posts - 変換済みポストの配列（まとめた内容で更新する）
+   * @param {Set<string>} existing_ids - 保存済みポストの重複キー（まとめた版のキーは取り除く）
+   * @returns {Promise<Map<string, Array<string>>>} まとめた先のポストID → まとめた保存済みポストのID
+   */
+  async fold_stored_edit_versions(posts, existing_ids) {
+    const version_ids = new Map();
+    for (const post of posts) {
+      const ids = (post.sns_specific?.edit_tweet_ids || [])
+        .map(tweet_id => `${this.sns_type}_${tweet_id}`)
+        .filter(id => id !== post.id && existing_ids.has(this.generate_duplicate_key({ id })));
+      if (ids.length > 0) {
+        version_ids.set(post.id, ids);
+      }
+    }
+    if (version_ids.size === 0) {
+      return version_ids;
+    }
+
+    const stored_posts = await post_repository.get_posts_by_ids([...version_ids.values()].flat());
+    const stored_map = new Map(stored_posts.map(post => [post.id, post]));
+    const folds = new Map();
+
+    for (const post of posts) {
+      const edit_tweet_ids = (post.sns_specific?.edit_tweet_ids || []).map(String);
+      const folded_ids = [];
+
+      for (const id of version_ids.get(post.id) || []) {
+        const stored = stored_map.get(id);
+        if (!stored) continue;
+
+        // 保存済みの版には版の番号がないため、edit_tweet_idsの位置から求める
+        const edit_version_index = edit_tweet_ids.indexOf(String(stored.original_id));
+        const updates = this.get_edit_version_merge(post, {
+          ...stored,
+          sns_specific: {
+            ...stored.sns_specific,
+            edit_version_index,
+            edited_at: edit_version_index > 0 ? stored.created_at : null
+          }
+        });
+        if (updates) {
+          Object.assign(post, updates);
+        }
+
+        existing_ids.delete(this.generate_duplicate_key({ id }));
+        folded_ids.push(id);
+      }
+
+      if (folded_ids.length > 0) {
+        folds.set(post.id, folded_ids);
+      }
+    }
+
+    return folds;
+  }
+
+  /**
+   * 情報の少ない取り込み元のポストを置き換える内容を取得（UPGRADABLE_SOURCESを持つサブクラスでオーバーライド）
+   * @param {Object} existing - 保存済みのポスト
+   * @param {Object} incoming - 重複した変換済みポスト
+   * @returns {Object|null} 更新内容（置き換えない場合はnull）
+   */
+  get_source_upgrade(existing, incoming) {
+    return null;
+  }
+
+  /**
+   * 保存済みのポストと比べて変化したフィールドを取得
+   * @param {Object} existing - 保存済みのポスト
+   * @param {Object} incoming - 再インポートした変換済みポスト
+   * @returns {Object|null} 更新内容（変化がない場合はnull）
+   */
+  get_updated_fields(existing, incoming) {
+    const updates = {};
+
+    const metrics = { ...existing.metrics };
+    let metrics_changed = false;
+    for (const key of UPDATABLE_METRICS) {
+      const value = incoming.metrics?.[key];
+      if (value !== null && value !== undefined && value !== metrics[key]) {
+        metrics[key] = value;
+        metrics_changed = true;
+      }
+    }
+    if (metrics_changed) {
+      updates.metrics = metrics;
+    }
+
+    if (incoming.content && incoming.content !== existing.content) {
+      updates.content = incoming.content;
+    }
+
+    const sns_specific = { ...existing.sns_specific };
+    let edit_changed = false;
+    for (const key of UPDATABLE_EDIT_KEYS) {
+      const value = incoming.sns_specific?.[key];
+      if (value !== null && value !== undefined && JSON.stringify(value) !== JSON.stringify(sns_specific[key])) {
+        sns_specific[key] = value;
+        edit_changed = true;
+      }
+    }
+    if (edit_changed) {
+      updates.sns_specific = sns_specific;
+    }
+
+    return Object.keys(updates).length > 0 ? updates : null;
+  }
   
   // SNS固有の重複キー生成
   generate_duplicate_key(post) {
@@ -170,9 +534,11 @@ export class BaseImporter {
       message: ''
     }
 
-    // ファイルサイズチェック（最大500MB）
+    const file_extension = file.name.split('.').pop().toLowerCase()
+
+    // ファイルサイズチェック（最大500MB。少しずつ読み込む形式は除く）
     const max_size = 500 * 1024 * 1024
-    if (file.size > max_size) {
+    if (file.size > max_size && !this.STREAMED_EXTENSIONS.includes(file_extension)) {
       result.valid = false
       result.message = 'ファイルサイズが大きすぎます（最大500MB）'
       return result
@@ -180,7 +546,6 @@ export class BaseImporter {
 
     // ファイル名チェック
     const valid_extensions = this.get_valid_extensions()
-    const file_extension = file.name.split('.').pop().toLowerCase()
     
     if (!valid_extensions.includes(file_extension)) {
       result.valid = false
@@ -225,7 +590,10 @@ export class BaseImporter {
     const display_names = {
       twitter: 'Twitter',
       bluesky: 'Bluesky', 
-      mastodon: 'Mastodon'
+      mastodon: 'Mastodon',
+      misskey: 'Misskey',
+      threads: 'Threads',
+      nostr: 'Nostr'
     }
     
     return display_names[this.sns_type] || this.sns_type
@@ -247,13 +615,13 @@ export class BaseImporter {
    * @param {Array} posts - ポストの配列
    * @param {Function} process_batch - バッチ処理関数
    * @param {Function} progress_callback - 進捗コールバック
-   * @returns {Promise<void>}
+   * @returns {Promise<number>} process_batchが返したポストの件数
    */
   async process_posts_in_batches(posts, process_batch, progress_callback = null) {
     console.log('[BaseImporter.process_posts_in_batches] Starting with posts:', posts.length)
     const total = posts.length
     let processed = 0
-    const all_processed_posts = []
+    let post_count = 0
     
     for (let i = 0; i < total; i += this.BATCH_SIZE) {
       const batch = posts.slice(i, i + this.BATCH_SIZE)
@@ -263,9 +631,9 @@ export class BaseImporter {
       const processed_batch = await process_batch(batch)
       console.log(`[BaseImporter.process_posts_in_batches] Batch processed, result count: ${processed_batch?.length || 0}`)
       
-      // 処理結果を収集
-      if (processed_batch && processed_batch.length > 0) {
-        all_processed_posts.push(...processed_batch)
+      // 処理結果は件数のみ数え、ポストはprocess_batch内で保存・受け渡しする
+      if (processed_batch) {
+        post_count += processed_batch.length
       }
       
       processed += batch.length
@@ -283,7 +651,7 @@ export class BaseImporter {
       }
       
       // UI応答性を保つ
-      await new Promise(resolve => setTimeout(resolve, 50))
+      await this.yield_to_ui(50)
       
       // メモリチェック
       if (processed % 5000 === 0) {
@@ -291,8 +659,73 @@ export class BaseImporter {
       }
     }
     
-    console.log('[BaseImporter.process_posts_in_batches] Completed. Total posts:', all_processed_posts.length)
-    return all_processed_posts
+    console.log('[BaseImporter.process_posts_in_batches] Completed. Total posts:', post_count)
+    return post_count
+  }
+
+  /**
+   * 件数が事前にわからないストリームのデータをバッチ処理
+   * 要素を1件ずつ受け取り、BATCH_SIZE件たまるごとに処理する
+   * @param {AsyncIterable} items - 生データを1件ずつ返すイテラブル
+   * @param {Function} process_batch - バッチ処理関数
+   * @param {Function} progress_callback - 進捗コールバック
+   * @param {Function} get_progress - 読み込み済みの割合（0〜100）を返す関数
+   * @returns {Promise<number>} process_batchが返したポストの件数
+   */
+  async process_stream_in_batches(items, process_batch, progress_callback = null, get_progress = null) {
+    let processed = 0
+    let post_count = 0
+    let batch = []
+
+    const flush = async () => {
+      const processed_batch = await process_batch(batch)
+      if (processed_batch) {
+        post_count += processed_batch.length
+      }
+
+      processed += batch.length
+      batch = []
+
+      if (progress_callback) {
+        this.report_progress(progress_callback, {
+          step: 'processing',
+          progress: get_progress ? get_progress() : 0,
+          message: `処理中... ${processed.toLocaleString()} 件`,
+          processed: processed
+        })
+      }
+
+      await this.yield_to_ui(50)
+
+      // メモリチェック
+      if (processed % 5000 === 0) {
+        await memory_monitor.check_memory_usage()
+      }
+    }
+
+    for await (const item of items) {
+      batch.push(item)
+      if (batch.length >= this.BATCH_SIZE) {
+        await flush()
+      }
+    }
+
+    if (batch.length > 0) {
+      await flush()
+    }
+
+    return post_count
+  }
+
+  /**
+   * メインスレッドで実行中の場合のみ処理を一時停止してUIに描画の機会を与える
+   * Web Worker内ではUIをブロックしないため待機しない
+   * @param {number} ms - 待機時間（ミリ秒）
+   * @returns {Promise<void>}
+   */
+  async yield_to_ui(ms) {
+    if (IS_WORKER) return
+    await new Promise(resolve => setTimeout(resolve, ms))
   }
 
   /**
@@ -323,11 +756,11 @@ export class BaseImporter {
         if (validation.valid) {
           transformed_posts.push(post_model)
         } else {
-
+          this.record_rejected_post(raw_post, validation.errors)
           errors++
         }
       } catch (error) {
-
+        this.record_rejected_post(raw_post, [`変換エラー: ${error.message}`])
         errors++
       }
 
@@ -345,7 +778,7 @@ export class BaseImporter {
         })
         
         // UI応答性を保つ
-        await new Promise(resolve => setTimeout(resolve, 10))
+        await this.yield_to_ui(10)
       }
     }
 
@@ -356,6 +789,28 @@ export class BaseImporter {
     return transformed_posts
   }
 
+  /**
+   * 変換・検証で除外したポストを記録
+   * @param {Object} raw_post - 除外した生データ
+   * @param {Array<string>} reasons - 除外した理由（検証エラー・変換時の例外）
+   */
+  record_rejected_post(raw_post, reasons) {
+    this.rejected_count++
+    if (this.rejected_posts.length >= MAX_REJECTED_RECORDS) return
+
+    let snippet
+    try {
+      snippet = JSON.stringify(raw_post) ?? String(raw_post)
+    } catch (error) {
+      snippet = String(raw_post)
+    }
+    if (snippet.length > REJECTED_SNIPPET_LENGTH) {
+      snippet = `${snippet.slice(0, REJECTED_SNIPPET_LENGTH)}…`
+    }
+
+    this.rejected_posts.push({ reasons, snippet })
+  }
+
   /**
    * ファイル内容を読み込み
    * @param {File} file - 読み込むファイル
@@ -1,6 +1,15 @@
 import { BaseImporter } from './base_importer.js'
 import { create_post_from_raw_data } from '../../models/post.js'
 
+// TID（レコードキー）で使われるbase32の文字セット
+const TID_CHARSET = '234567abcdefghijklmnopqrstuvwxyz'
+
+// フォロー・ブロックのレコード種別と関係の種類
+const RELATION_TYPES = {
+  'app.bsky.graph.follow': 'follow',
+  'app.bsky.graph.block': 'block'
+}
+
 /**
  * Bluesky専用インポーター
  * BlueskyのエクスポートデータのインポートをCARファイルまたはJSON形式で処理
@@ -17,7 +26,7 @@ export class BlueskyImporter extends BaseImporter {
    * @returns {Promise<ImportResult>} インポート結果
    */
   async import_data(file, options = {}) {
-    const { progress_callback = null, filter_callback = null, bluesky_account = null } = options;
+    const { progress_callback = null, filter_callback = null, bluesky_account = null, preview = false } = options;
 
     try {
       // ファイル検証
@@ -33,9 +42,9 @@ export class BlueskyImporter extends BaseImporter {
         message: 'CARファイルを解析しています...'
       })
 
-      const raw_posts = await this.import_car_file(file, progress_callback, bluesky_account)
+      const { posts: raw_posts, likes, relations } = await this.import_car_file(file, progress_callback, bluesky_account)
 
-      if (!raw_posts || raw_posts.length === 0) {
+      if (raw_posts.length === 0 && likes.length === 0 && relations.length === 0) {
         throw new Error('有効な投稿データが見つかりませんでした')
       }
 
@@ -46,21 +55,29 @@ export class BlueskyImporter extends BaseImporter {
       })
 
       // バッチ処理でポストを変換
-      const posts = await this.process_posts_in_batches(
-        raw_posts,
+      // いいねしたポストも「いいね」種別のポストとして同じ変換・検証・重複チェックを通す
+      let like_count = 0
+      const post_count = await this.process_posts_in_batches(
+        [...raw_posts, ...likes],
         async (batch) => {
           const transformed = await this.transform_posts_batch(batch, null)
           // フィルターコールバックがある場合は適用
-          if (filter_callback) {
-            const filtered = await filter_callback(transformed)
-            return filtered || []
-          }
-          return transformed
+          const filtered = filter_callback ? (await filter_callback(transformed) || []) : transformed
+          like_count += filtered.filter(post => post.kind === 'like').length
+          return filtered
         },
         progress_callback
       )
 
-      return this.create_import_result(true, posts ? posts.length : 0, posts || [])
+      const result = this.create_import_result(true, post_count)
+      result.like_count = like_count
+      result.follow_count = relations.filter(relation => relation.relation === 'follow').length
+      result.block_count = relations.filter(relation => relation.relation === 'block').length
+      // フォロー・ブロックはポストの保存が完了してから置き換えるため、呼び出し側へ渡す（プレビュー時は渡さない）
+      if (!preview) {
+        result.relations = relations
+      }
+      return result
 
     } catch (error) {
 
@@ -73,7 +90,7 @@ export class BlueskyImporter extends BaseImporter {
    * CARファイルをインポート
    * @param {File} file - CARファイル
    * @param {Function} progress_callback - 進捗コールバック
-   * @returns {Promise<Array>} 投稿データの配列
+   * @returns {Promise<Object>} { posts: 投稿データの配列, likes: いいねしたポストの配列, relations: フォロー・ブロックの配列 }
    */
   async import_car_file(file, progress_callback, bluesky_account = null) {
     this.report_progress(progress_callback, {
@@ -175,6 +192,8 @@ export class BlueskyImporter extends BaseImporter {
       let did = null
       const post_records = []  // 全ポストレコードを格納
       const posts_by_cid = new Map()  // CIDでポストを検索できるようにするマップ
+      const like_records = []  // いいねレコードを格納
+      const relations = []  // フォロー・ブロックを格納
 
       for (const [cid, bytes] of blocks) {
         processed_count++
@@ -264,6 +283,20 @@ export class BlueskyImporter extends BaseImporter {
               })
             }
           }
+
+          // app.bsky.feed.like タイプのレコードを探す（いいね）
+          if (data && data.$type === 'app.bsky.feed.like' && data.subject?.uri) {
+            like_records.push(data)
+          }
+
+          // app.bsky.graph.follow・app.bsky.graph.block タイプのレコードを探す
+          if (data && RELATION_TYPES[data.$type] && typeof data.subject === 'string') {
+            relations.push({
+              relation: RELATION_TYPES[data.$type],
+              subject: data.subject,
+              created_at: data.createdAt || null
+            })
+          }
         } catch (decode_error) {
           // デコードエラーは無視（バイナリデータなど）
           // 投稿データ以外のブロックも含まれるため、これは正常
@@ -295,6 +328,9 @@ export class BlueskyImporter extends BaseImporter {
         }
       }
 
+      // 返信の参照（reply.root / reply.parent）から、自分の投稿の正しいURIが分かる場合がある
+      const uri_by_cid = this.collect_reply_ref_uris(post_records)
+
       // post_recordsをpostsフォーマットに変換
       for (const record of post_records) {
         // CIDから安定したrkeyを生成（CIDは投稿内容のハッシュで常に同じ）
@@ -313,8 +349,11 @@ export class BlueskyImporter extends BaseImporter {
           }
         }
 
-        // DIDとrkeyからURIを構築
-        const post_uri = did ? `at://${did}/app.bsky.feed.post/${rkey}` : null
+        // 返信の参照で分かったURIを優先し、なければDIDとrkeyからURIを構築
+        const post_uri = uri_by_cid.get(record.cid) || (did ? `at://${did}/app.bsky.feed.post/${rkey}` : null)
+        if (uri_by_cid.has(record.cid)) {
+          rkey = post_uri.split('/').pop()
+        }
 
         // リポストの場合の処理
         if (record.type === 'repost') {
@@ -400,8 +439,19 @@ export class BlueskyImporter extends BaseImporter {
         message: `${posts.length}件のポストを検出しました`
       })
 
+      // 同じCAR内の投稿同士で返信スレッドを組み立てる
+      this.resolve_reply_threads(posts)
+
+      // いいねはポストと同じ変換処理でcreate_liked_postに渡す
+      const likes = like_records.map(record => ({
+        is_like: true,
+        like: record,
+        own_post: record.subject?.cid ? posts_by_cid.get(record.subject.cid) || null : null,
+        user_handle
+      }))
+
       // ポストが見つからない場合の詳細エラー
-      if (posts.length === 0) {
+      if (posts.length === 0 && likes.length === 0 && relations.length === 0) {
 
         throw new Error('CARファイル内に有効な投稿データが見つかりませんでした。エクスポートファイルが正しいか確認してください。')
       }
@@ -409,7 +459,7 @@ export class BlueskyImporter extends BaseImporter {
       // メモリ安全性チェック
       await this.check_memory_safety()
 
-      return posts
+      return { posts, likes, relations }
 
     } catch (error) {
 
@@ -427,12 +477,151 @@ export class BlueskyImporter extends BaseImporter {
   }
 
 
+  /**
+   * 返信の参照からCIDとURIの対応を集める
+   * @param {Array<Object>} post_records - 投稿レコードの配列
+   * @returns {Map<string, string>} CIDからURIへのマップ
+   */
+  collect_reply_ref_uris(post_records) {
+    const uri_by_cid = new Map()
+
+    for (const record of post_records) {
+      const reply = record.type === 'post' ? record.data.reply : null
+      for (const ref of [reply?.root, reply?.parent]) {
+        if (ref?.cid && ref?.uri) {
+          uri_by_cid.set(ref.cid.toString(), ref.uri)
+        }
+      }
+    }
+
+    return uri_by_cid
+  }
+
+  /**
+   * 返信の親・ルートを同じCAR内の投稿に解決し、スレッドのルートIDを付与
+   * ルートが他人の投稿の場合は、CAR内で辿れる最上位の自分の投稿をスレッドのルートとする
+   * @param {Array<Object>} posts - 投稿データの配列（reply_threadを追加する）
+   */
+  resolve_reply_threads(posts) {
+    const posts_by_cid = new Map(posts.filter(post => !post.is_repost).map(post => [post.cid, post]))
+    const get_post_id = (cid) => `bluesky_${cid}`
+
+    // 親の投稿を辿ってスレッドの最上位の投稿を探す
+    const find_thread_top = (post) => {
+      const visited = new Set()
+      let current = post
+      while (current && !visited.has(current.cid)) {
+        visited.add(current.cid)
+        const parent_cid = current.record?.reply?.parent?.cid?.toString()
+        const parent = parent_cid ? posts_by_cid.get(parent_cid) : null
+        if (!parent) break
+        current = parent
+      }
+      return current
+    }
+
+    for (const post of posts_by_cid.values()) {
+      const reply = post.record?.reply
+      if (!reply) continue
+
+      const parent_cid = reply.parent?.cid?.toString()
+      const root_cid = reply.root?.cid?.toString()
+      const parent = parent_cid ? posts_by_cid.get(parent_cid) : null
+      const top = find_thread_top(post)
+
+      post.reply_thread = {
+        parent_uri: reply.parent?.uri || null,
+        root_uri: reply.root?.uri || null,
+        parent_id: parent ? get_post_id(parent_cid) : null,
+        root_id: root_cid && posts_by_cid.has(root_cid) ? get_post_id(root_cid) : null,
+        // 自分がスレッドの最上位の場合は、先に処理した返信で付与済みのIDを引き継ぐ
+        thread_root_id: top !== post ? get_post_id(top.cid) : (post.reply_thread?.thread_root_id || null)
+      }
+
+      // スレッドの最上位の投稿にも同じスレッドIDを付ける
+      if (top !== post) {
+        top.reply_thread = top.reply_thread || {
+          parent_uri: null,
+          root_uri: null,
+          parent_id: null,
+          root_id: null,
+          thread_root_id: null
+        }
+        top.reply_thread.thread_root_id = get_post_id(top.cid)
+      }
+    }
+  }
+
+  /**
+   * いいねレコードから「いいね」種別のポストを作成
+   * CARには相手の投稿本文が含まれないため、自分の投稿へのいいね以外はURLを本文とする
+   * @param {Object} like - app.bsky.feed.likeレコード
+   * @param {Object|null} own_post - いいねした自分の投稿レコード
+   * @param {string} user_handle - 自分のハンドル
+   * @returns {Object} 統一スキーマのデータ
+   */
+  create_liked_post(like, own_post, user_handle) {
+    const { uri, cid } = like.subject
+    // URIの形式: at://did:plc:xxxxx/app.bsky.feed.post/rkey
+    const [, author_did = 'unknown', rkey = null] = uri.match(/^at:\/\/([^\/]+)\/[^\/]+\/([^\/]+)$/) || []
+    const url = rkey ? `https://bsky.app/profile/${author_did}/post/${rkey}` : null
+    const created_at = this.get_date_from_tid(rkey)
+
+    return {
+      id: `bluesky_like_${cid || uri}`,
+      original_id: cid || uri,
+      sns_type: 'bluesky',
+      kind: 'like',
+      // 投稿日時はレコードキー（TID）から復元し、できなければいいねした日時で代用
+      created_at: created_at || like.createdAt || new Date().toISOString(),
+      content: own_post?.data?.text || url || uri,
+      author: {
+        name: own_post ? user_handle : author_did,
+        username: own_post ? user_handle : author_did
+      },
+      sns_specific: {
+        uri,
+        cid,
+        liked_at: like.createdAt || null,
+        is_stub: !own_post,
+        is_date_estimated: !created_at
+      },
+      original_url: url
+    }
+  }
+
+  /**
+   * TID形式のレコードキーから作成日時を復元
+   * @param {string} rkey - レコードキー（上位ビットがマイクロ秒のタイムスタンプ）
+   * @returns {string|null} ISO形式の日時（復元できない場合null）
+   */
+  get_date_from_tid(rkey) {
+    if (!/^[234567a-z]{13}$/.test(rkey || '')) return null
+
+    let value = 0n
+    for (const char of rkey) {
+      value = value * 32n + BigInt(TID_CHARSET.indexOf(char))
+    }
+
+    // 下位10ビットはクロックID
+    const timestamp = Number((value >> 10n) / 1000n)
+    if (timestamp < Date.UTC(2022, 0, 1) || timestamp > Date.now() + 24 * 60 * 60 * 1000) {
+      return null
+    }
+
+    return new Date(timestamp).toISOString()
+  }
+
   /**
    * Blueskyの生データを統一スキーマに変換
    * @param {Object} raw_post - Blueskyの生データ
    * @returns {Object} 統一スキーマのデータ
    */
   transform_to_unified_schema(raw_post) {
+    if (raw_post.is_like) {
+      return this.create_liked_post(raw_post.like, raw_post.own_post, raw_post.user_handle)
+    }
+
     try {
       // PostModelのファクトリ関数を使用
       const post = create_post_from_raw_data('bluesky', raw_post)
@@ -484,6 +673,15 @@ export class BlueskyImporter extends BaseImporter {
       post.sns_specific.uri = raw_post.uri || raw_post.record?.uri
       post.sns_specific.rkey = raw_post.rkey  // rkeyを保存
 
+      // 返信スレッドの情報（親・ルートのURIと、同じCAR内で解決できたポストID）
+      if (raw_post.reply_thread) {
+        post.sns_specific.reply_parent_uri = raw_post.reply_thread.parent_uri
+        post.sns_specific.reply_root_uri = raw_post.reply_thread.root_uri
+        post.sns_specific.reply_parent_id = raw_post.reply_thread.parent_id
+        post.sns_specific.reply_root_id = raw_post.reply_thread.root_id
+        post.sns_specific.thread_root_id = raw_post.reply_thread.thread_root_id
+      }
+
       // author情報の更新（CARファイルから取得した情報がある場合）
       if (raw_post.author) {
         post.author.username = raw_post.author.handle || post.author.username
@@ -629,6 +827,7 @@ export class BlueskyImporter extends BaseImporter {
       },
       notes: [
         'CARファイル形式のみサポートしています',
+        'いいねしたポストは「いいね」として、フォロー・ブロック中のアカウントは一覧として取り込みます',
         'Blueskyの設定からエクスポートをリクエストしてください',
         'エクスポートには時間がかかる場合があります'
       ]
@@ -1,28 +1,48 @@
 import { BaseImporter } from './base_importer.js'
-import { create_post_from_raw_data } from '../../models/post.js'
+import { PostModel, create_post_from_raw_data } from '../../models/post.js'
+import { TarGzArchive } from '../../utils/tar_reader.js'
+import { file_processor } from '../../utils/file_utils.js'
+import { media_repository } from '../../repositories/media_repository.js'
+import { post_repository } from '../../repositories/post_repository.js'
+import { keep_repository } from '../../repositories/keep_repository.js'
+
+// アーカイブ内の投稿データ
+const ARCHIVE_OUTBOX_PATTERN = /(^|\/)outbox\.json$/i
+// アーカイブ内のアカウント情報
+const ARCHIVE_ACTOR_PATTERN = /(^|\/)actor\.json$/i
+// アーカイブ内のいいね・ブックマーク（投稿URIの一覧）
+const ARCHIVE_LIKES_PATTERN = /(^|\/)likes\.json$/i
+const ARCHIVE_BOOKMARKS_PATTERN = /(^|\/)bookmarks\.json$/i
+// アーカイブ直下のアバター画像（avatar.png など）
+const ARCHIVE_AVATAR_PATTERN = /^([^\/]+\/)?avatar\.[a-z0-9]+$/i
+
+// メディア保存時のバッチ上限（件数・バイト数）
+const MEDIA_BATCH_COUNT = 50
+const MEDIA_BATCH_BYTES = 50 * 1024 * 1024
 
 /**
  * Mastodon専用インポーター
- * ActivityPub形式のoutbox.jsonファイルのインポートを処理
+ * ActivityPub形式のoutbox.jsonファイル、またはアーカイブ（tar.gz）のインポートを処理
  */
 export class MastodonImporter extends BaseImporter {
   constructor() {
     super('mastodon')
+    // アーカイブは分割して展開しながら読み込む
+    this.STREAMED_EXTENSIONS = ['gz', 'tgz']
   }
 
   /**
-   * Mastodonのoutbox.jsonファイルをインポート
-   * @param {File} file - outbox.jsonファイル
-   * @param {Function} progress_callback - 進捗コールバック
+   * Mastodonのoutbox.jsonファイルまたはアーカイブをインポート
+   * @param {File} file - outbox.jsonファイルまたはarchive-*.tar.gz
+   * @param {Object} options - オプション（page_files: ページ分割されたoutboxの残りのページファイル）
    * @returns {Promise<ImportResult>} インポート結果
    */
   async import_data(file, options = {}) {
-    const { progress_callback = null, filter_callback = null, mastodon_account = null } = options;
+    const { progress_callback = null, filter_callback = null, mastodon_account = null, page_files = [], preview = false } = options;
 
-    // Mastodonアカウント情報を保存
-    if (mastodon_account) {
-      this.mastodon_account = mastodon_account
-    }
+    // Mastodonアカウント情報を保存（前回のインポートの値は引き継がない）
+    this.mastodon_account = mastodon_account || null
+    this.mastodon_display_name = null
 
     try {
       // ファイル検証
@@ -31,8 +51,39 @@ export class MastodonImporter extends BaseImporter {
         throw new Error(validation_result.message)
       }
 
-      // ファイル内容を読み込み
-      const content = await this.read_file_content(file, progress_callback)
+      let content
+      let archive = null
+      let archive_data = null
+
+      if (this.is_archive_file(file)) {
+        // アーカイブからoutbox.json・actor.json・アバター画像を読み込み
+        archive_data = await this.read_archive(file, progress_callback)
+        content = archive_data.outbox
+        archive = archive_data.archive
+
+        // アカウント情報はactor.jsonの値を優先
+        if (archive_data.actor) {
+          this.mastodon_account = archive_data.actor.username
+          this.mastodon_display_name = archive_data.actor.display_name
+        }
+
+        if (archive_data.avatar && this.mastodon_account && !preview) {
+          await media_repository.save_account_avatar('mastodon', this.mastodon_account, archive_data.avatar)
+        }
+      } else if (page_files.length > 0) {
+        // ページ分割されたoutboxは全ページのファイルを読み込む
+        content = []
+        for (const page_file of [file, ...page_files]) {
+          const validation = this.validate_file(page_file)
+          if (!validation.valid) {
+            throw new Error(`${page_file.name}: ${validation.message}`)
+          }
+          content.push(await this.read_file_content(page_file, progress_callback))
+        }
+      } else {
+        // ファイル内容を読み込み
+        content = await this.read_file_content(file, progress_callback)
+      }
 
       // outbox.jsonの内容を解析
       this.report_progress(progress_callback, {
@@ -54,7 +105,7 @@ export class MastodonImporter extends BaseImporter {
       })
 
       // バッチ処理でポストを変換
-      const posts = await this.process_posts_in_batches(
+      let post_count = await this.process_posts_in_batches(
         raw_posts,
         async (batch) => {
           const transformed = await this.transform_posts_batch(batch, null)
@@ -68,7 +119,26 @@ export class MastodonImporter extends BaseImporter {
         progress_callback
       )
 
-      return this.create_import_result(true, posts ? posts.length : 0, posts || [])
+      // いいね・ブックマークした投稿をKEEPに追加（DBにない投稿は仮のポストとして保存）
+      // プレビュー時はKEEP・メディアを保存しない
+      let keep_count = 0
+      if (archive_data && !preview) {
+        const keep_result = await this.import_keep_candidates(raw_posts, archive_data, filter_callback)
+        post_count += keep_result.posts.length
+        keep_count = keep_result.keep_count
+      }
+
+      // アーカイブの添付メディアをローカルに保存
+      // 重複でスキップされたポストにもメディアを補完するため、全投稿分を対象にする
+      let media_count = 0
+      if (archive && !preview) {
+        media_count = await this.import_archive_media(archive, raw_posts, progress_callback)
+      }
+
+      const result = this.create_import_result(true, post_count)
+      result.media_count = media_count
+      result.keep_count = keep_count
+      return result
 
     } catch (error) {
 
@@ -76,33 +146,378 @@ export class MastodonImporter extends BaseImporter {
     }
   }
 
+  /**
+   * アーカイブ（tar.gz）かどうかを判定
+   * @param {File} file - 判定するファイル
+   * @returns {boolean} tar.gzの場合true
+   */
+  is_archive_file(file) {
+    const name = file.name.toLowerCase()
+    return name.endsWith('.tar.gz') || name.endsWith('.tgz')
+  }
+
+  /**
+   * アーカイブからoutbox.json・actor.json・likes.json・bookmarks.json・アバター画像を読み込む
+   * メディアファイルは件数が多いため、ここでは読み込まずに読み飛ばす
+   * @param {File} file - archive-*.tar.gz
+   * @param {Function} progress_callback - 進捗コールバック
+   * @returns {Promise<Object>} { outbox, actor, avatar, likes, bookmarks, archive }
+   */
+  async read_archive(file, progress_callback = null) {
+    this.report_progress(progress_callback, {
+      step: 'extracting',
+      progress: 0,
+      message: 'アーカイブを展開しています...'
+    })
+
+    const archive = new TarGzArchive(file)
+    const entries = new Map()
+
+    await archive.for_each_entry(async (entry) => {
+      entries.set(entry.name, entry.data)
+    }, {
+      filter: (name) => ARCHIVE_OUTBOX_PATTERN.test(name) ||
+        ARCHIVE_ACTOR_PATTERN.test(name) ||
+        ARCHIVE_LIKES_PATTERN.test(name) ||
+        ARCHIVE_BOOKMARKS_PATTERN.test(name) ||
+        ARCHIVE_AVATAR_PATTERN.test(name),
+      on_progress: (loaded, total) => {
+        this.report_progress(progress_callback, {
+          step: 'extracting',
+          progress: Math.round((loaded / total) * 100),
+          message: 'アーカイブを展開しています...',
+          processed: loaded,
+          total
+        })
+      }
+    })
+
+    const decoder = new TextDecoder('utf-8')
+    const find_entry = (pattern) => [...entries.keys()].find(name => pattern.test(name))
+
+    const outbox_name = find_entry(ARCHIVE_OUTBOX_PATTERN)
+    if (!outbox_name) {
+      throw new Error('アーカイブ内にoutbox.jsonが見つかりませんでした。Mastodonからダウンロードしたアーカイブを選択してください。')
+    }
+
+    // actor.jsonからアカウント情報を取得（見つからなくてもインポートは続行）
+    let actor = null
+    let actor_data = null
+    const actor_name = find_entry(ARCHIVE_ACTOR_PATTERN)
+    if (actor_name) {
+      try {
+        actor_data = JSON.parse(decoder.decode(entries.get(actor_name)))
+        actor = this.parse_actor_data(actor_data)
+      } catch (error) {
+        console.warn('[MastodonImporter] Failed to read actor.json:', error)
+      }
+    }
+
+    // actor.jsonのicon.urlに対応するアバター画像を取得
+    let avatar = null
+    const icon_path = this.normalize_archive_path(actor_data?.icon?.url || '')
+    const avatar_name = [...entries.keys()].find(name =>
+      ARCHIVE_AVATAR_PATTERN.test(name) && (!icon_path || this.normalize_archive_path(name).endsWith(icon_path))
+    )
+    if (avatar_name) {
+      const file_name = avatar_name.split('/').pop()
+      const mime_type = file_processor.get_mime_type(file_name)
+      avatar = {
+        file_name,
+        mime_type,
+        blob: new Blob([entries.get(avatar_name)], { type: mime_type })
+      }
+    }
+
+    // いいね・ブックマーク（読み込めなくてもインポートは続行）
+    const read_uris = (pattern) => {
+      const name = find_entry(pattern)
+      if (!name) return []
+
+      try {
+        return this.parse_collection_uris(decoder.decode(entries.get(name)))
+      } catch (error) {
+        console.warn('[MastodonImporter] Failed to read', name, error)
+        return []
+      }
+    }
+
+    this.report_progress(progress_callback, {
+      step: 'extracted',
+      progress: 100,
+      message: 'アーカイブの展開が完了しました'
+    })
+
+    return {
+      outbox: decoder.decode(entries.get(outbox_name)),
+      actor,
+      avatar,
+      likes: read_uris(ARCHIVE_LIKES_PATTERN),
+      bookmarks: read_uris(ARCHIVE_BOOKMARKS_PATTERN),
+      archive
+    }
+  }
+
+  /**
+   * likes.json・bookmarks.jsonから投稿URIの一覧を取得
+   * @param {string} content - ファイルの内容
+   * @returns {Array<string>} 投稿URIの配列
+   */
+  parse_collection_uris(content) {
+    const data = JSON.parse(content)
+    const items = data.orderedItems || data.items || []
+
+    return items
+      .map(item => typeof item === 'string' ? item : item?.id)
+      .filter(uri => typeof uri === 'string' && uri.length > 0)
+  }
+
+  /**
+   * いいね・ブックマークした投稿をKEEPに追加
+   * 投稿がDBまたは今回のインポートにあればそのポストを、なければ仮のポストを作成してKEEPする
+   * @param {Array} raw_statuses - 解析済みの投稿データ
+   * @param {Object} collections - { likes, bookmarks }
+   * @param {Function} filter_callback - 重複チェック用のフィルターコールバック
+   * @returns {Promise<Object>} { posts: 新規保存する仮のポスト, keep_count: 追加したKEEP数 }
+   */
+  async import_keep_candidates(raw_statuses, { likes = [], bookmarks = [] }, filter_callback = null) {
+    // いいねとブックマークの両方にある投稿はブックマークとして扱う
+    const candidates = new Map()
+    likes.forEach(uri => candidates.set(uri, 'like'))
+    bookmarks.forEach(uri => candidates.set(uri, 'bookmark'))
+
+    if (candidates.size === 0) {
+      return { posts: [], keep_count: 0 }
+    }
+
+    // 投稿URIからポストIDを引けるようにする（今回のインポート分）
+    const post_ids = new Map()
+    for (const status of raw_statuses) {
+      if (!status.is_boost) {
+        post_ids.set(status.id, this.get_post_id(status))
+      }
+    }
+
+    // 保存済みのポスト（他サーバーの投稿とIDが衝突しないよう元のURIも照合する）
+    const guessed_ids = [...candidates.keys()]
+      .filter(uri => !post_ids.has(uri))
+      .map(uri => this.get_post_id({ id: uri }))
+    for (const post of await post_repository.get_posts_by_ids(guessed_ids)) {
+      if (post.sns_specific?.original_url) {
+        post_ids.set(post.sns_specific.original_url, post.id)
+      }
+    }
+
+    const stub_posts = []
+    const keep_ids = new Set()
+    for (const [uri, kind] of candidates) {
+      if (post_ids.has(uri)) {
+        keep_ids.add(post_ids.get(uri))
+      } else {
+        const stub = this.create_stub_post(uri, kind)
+        stub_posts.push(stub)
+        keep_ids.add(stub.id)
+      }
+    }
+
+    // KEEP済みのものはKEEP日時を変えないよう除外
+    const kept_ids = await keep_repository.get_kept_post_ids([...keep_ids])
+    const keep_items = [...keep_ids]
+      .filter(post_id => !kept_ids.has(post_id))
+      .map(post_id => ({ post_id, sns_type: 'mastodon' }))
+
+    // 仮のポストを保存してからKEEPを追加し、ポストのないKEEPが残らないようにする
+    // （filter_callbackはバッチを保存し終えてから戻る。前回のインポートで保存済みの仮のポストは重複としてスキップ）
+    const posts = filter_callback ? (await filter_callback(stub_posts)) || [] : stub_posts
+
+    if (keep_items.length > 0) {
+      await keep_repository.add_keep_items_batch(keep_items)
+    }
+
+    return { posts, keep_count: keep_items.length }
+  }
+
+  /**
+   * 投稿URIのみから仮のポストを作成
+   * @param {string} uri - 投稿のActivityPub URI
+   * @param {string} kind - 種別（'like' | 'bookmark'）
+   * @returns {Object} 統一スキーマのデータ
+   */
+  create_stub_post(uri, kind) {
+    const instance = uri.match(/https?:\/\/([^\/]+)/)?.[1] || 'unknown'
+    const status_id = uri.match(/\/statuses\/([^\/?#]+)/)?.[1] || uri.split('/').filter(Boolean).pop()
+    const created_at = this.get_date_from_status_id(status_id)
+    const username = this.extract_username_from_actor(uri)
+    const url = this.convert_activity_id_to_url(uri)
+
+    const post = new PostModel({
+      id: `mastodon_remote_${instance}_${status_id}`,
+      original_id: status_id,
+      sns_type: 'mastodon',
+      kind,
+      created_at: created_at || new Date().toISOString(),
+      // 本文はアーカイブに含まれないためURLを表示する
+      content: url,
+      author: {
+        name: username,
+        username
+      },
+      sns_specific: {
+        instance,
+        original_url: uri,
+        is_stub: true,
+        // IDから日時を復元できない場合はインポート日時で代用
+        is_date_estimated: !created_at
+      },
+      original_url: url
+    })
+
+    return post.to_db_object()
+  }
+
+  /**
+   * MastodonのステータスIDから投稿日時を復元
+   * @param {string} status_id - ステータスID（上位ビットがミリ秒のタイムスタンプ）
+   * @returns {string|null} ISO形式の日時（復元できない場合null）
+   */
+  get_date_from_status_id(status_id) {
+    if (!/^\d{15,}$/.test(status_id || '')) return null
+
+    const timestamp = Number(BigInt(status_id) >> 16n)
+    // Snowflake形式導入前の連番IDや他ソフトウェアのIDは範囲外になる
+    if (timestamp < Date.UTC(2016, 0, 1) || timestamp > Date.now() + 24 * 60 * 60 * 1000) {
+      return null
+    }
+
+    return new Date(timestamp).toISOString()
+  }
+
+  /**
+   * actor.jsonからアカウント情報を解析
+   * @param {Object} actor_data - actor.jsonの内容
+   * @returns {Object|null} { username, display_name }
+   */
+  parse_actor_data(actor_data) {
+    const host = actor_data?.id?.match(/https?:\/\/([^\/]+)/)?.[1]
+    if (!actor_data?.preferredUsername || !host) return null
+
+    return {
+      username: `${actor_data.preferredUsername}@${host}`,
+      display_name: actor_data.name || actor_data.preferredUsername
+    }
+  }
+
+  /**
+   * アーカイブ内のパスを比較用に正規化
+   * @param {string} path - パスまたは添付ファイルのURL
+   * @returns {string} 先頭の「/」「./」を除いたパス
+   */
+  normalize_archive_path(path) {
+    return path.replace(/^https?:\/\/[^\/]+/, '').replace(/^\.?\/+/, '')
+  }
+
+  /**
+   * アーカイブの添付メディアをローカルに保存
+   * @param {TarGzArchive} archive - 読み込み済みのアーカイブ
+   * @param {Array} raw_statuses - 解析済みの投稿データ
+   * @param {Function} progress_callback - 進捗コールバック
+   * @returns {Promise<number>} 保存したメディア数
+   */
+  async import_archive_media(archive, raw_statuses, progress_callback = null) {
+    // 添付ファイルのパスから保存先のポストを引けるようにする
+    const media_targets = new Map()
+    for (const status of raw_statuses) {
+      for (const attachment of status.media_attachments || []) {
+        if (!attachment.url) continue
+        media_targets.set(this.normalize_archive_path(attachment.url), this.get_post_id(status))
+      }
+    }
+
+    if (media_targets.size === 0) {
+      return 0
+    }
+
+    // エントリ名にはディレクトリのプレフィックスが付く場合がある
+    const find_target = (name) => {
+      const index = name.indexOf('media_attachments/')
+      return index === -1 ? null : media_targets.get(name.substring(index))
+    }
+
+    let batch = []
+    let batch_bytes = 0
+    let saved_count = 0
+
+    const flush = async () => {
+      await media_repository.save_media_files(batch)
+      saved_count += batch.length
+      batch = []
+      batch_bytes = 0
+
+      this.report_progress(progress_callback, {
+        step: 'media_saving',
+        progress: Math.round((saved_count / media_targets.size) * 100),
+        message: `メディアを保存中... ${saved_count.toLocaleString()} / ${media_targets.size.toLocaleString()} 件`,
+        processed: saved_count,
+        total: media_targets.size
+      })
+    }
+
+    await archive.for_each_entry(async (entry) => {
+      const file_name = entry.name.split('/').pop()
+      const mime_type = file_processor.get_mime_type(file_name)
+
+      batch.push({
+        post_id: find_target(entry.name),
+        media_id: file_name.replace(/\.[^.]+$/, ''),
+        sns_type: 'mastodon',
+        file_name,
+        mime_type,
+        blob: new Blob([entry.data], { type: mime_type })
+      })
+      batch_bytes += entry.size
+
+      if (batch.length >= MEDIA_BATCH_COUNT || batch_bytes >= MEDIA_BATCH_BYTES) {
+        await flush()
+      }
+    }, {
+      filter: (name) => !!find_target(name)
+    })
+
+    if (batch.length > 0) {
+      await flush()
+    }
+
+    return saved_count
+  }
+
+  /**
+   * 投稿データから保存時のポストIDを取得
+   * @param {Object} status - 解析済みの投稿データ
+   * @returns {string} ポストID
+   */
+  get_post_id(status) {
+    const id_match = String(status.id || '').match(/statuses\/(\d+)/)
+    return `mastodon_${id_match ? id_match[1] : status.id}`
+  }
+
   /**
    * outbox.jsonからMastodonデータを解析
-   * @param {string} content - outbox.jsonの内容
+   * @param {string|Array<string>} content - outbox.jsonの内容（ページ分割されている場合は各ページの内容の配列）
    * @returns {Promise<Array>} 投稿の配列
    */
   async parse_mastodon_data(content) {
     try {
-      const data = JSON.parse(content)
+      const documents = (Array.isArray(content) ? content : [content]).map(text => JSON.parse(text))
 
       // ActivityPub形式の検証
-      if (!data.type || !data.type.includes('OrderedCollection')) {
-        throw new Error('有効なActivityPub形式ではありません')
+      for (const data of documents) {
+        if (!data.type || !data.type.includes('OrderedCollection')) {
+          throw new Error('有効なActivityPub形式ではありません')
+        }
       }
 
-      let items = []
-
       // OrderedCollectionまたはOrderedCollectionPageの処理
-      if (data.orderedItems) {
-        items = data.orderedItems
-      } else if (data.first) {
-        // ページング形式の場合
-        if (typeof data.first === 'string') {
-          throw new Error('ページング形式のエクスポートは現在サポートされていません。完全なoutbox.jsonをエクスポートしてください。')
-        } else if (data.first.orderedItems) {
-          items = data.first.orderedItems
-        }
-      }
+      const items = this.collect_outbox_items(documents)
 
       // アクティビティから実際の投稿を抽出
       const statuses = []
@@ -132,10 +547,95 @@ export class MastodonImporter extends BaseImporter {
 
     } catch (error) {
 
-      throw new Error('Mastodonデータの解析に失敗しました')
+      throw new Error(`Mastodonデータの解析に失敗しました: ${error.message}`)
     }
   }
 
+  /**
+   * OrderedCollection・OrderedCollectionPageからアクティビティを集める
+   * ページ分割されている場合はnext/prevのリンクを辿ってページ順に並べ直す
+   * @param {Array<Object>} documents - outboxのコレクションまたはページの配列
+   * @returns {Array<Object>} アクティビティの配列
+   */
+  collect_outbox_items(documents) {
+    const get_link_id = (link) => typeof link === 'string' ? link : link?.id || null
+
+    const pages = new Map()
+    let first_id = null
+
+    for (const data of documents) {
+      if (data.orderedItems || data.type.includes('Page')) {
+        pages.set(data.id || `page_${pages.size}`, data)
+      } else if (data.first) {
+        // コレクション本体はページの一覧を持たず、先頭ページへのリンクのみを持つ
+        if (typeof data.first === 'object') {
+          pages.set(data.first.id || `page_${pages.size}`, data.first)
+        }
+        first_id = first_id || get_link_id(data.first)
+      }
+    }
+
+    if (pages.size === 0) {
+      if (first_id) {
+        throw new Error('ページ分割されたoutboxです。各ページのファイルもまとめて選択してください。')
+      }
+      return []
+    }
+
+    // 手元にあるページ間のnextリンク（nextがなくprevのみのページも補完する）
+    const next_ids = new Map()
+    for (const [id, page] of pages) {
+      const next_id = get_link_id(page.next)
+      if (next_id && pages.has(next_id)) {
+        next_ids.set(id, next_id)
+      }
+    }
+    for (const [id, page] of pages) {
+      const prev_id = get_link_id(page.prev)
+      if (prev_id && pages.has(prev_id) && !next_ids.has(prev_id)) {
+        next_ids.set(prev_id, id)
+      }
+    }
+
+    // コレクションのfirstを先頭に、前のページを持たないページから辿る
+    const linked_ids = new Set(next_ids.values())
+    const head_ids = [...pages.keys()].filter(id => !linked_ids.has(id))
+    if (first_id && pages.has(first_id)) {
+      head_ids.unshift(first_id)
+    }
+
+    const ordered_pages = []
+    const visited = new Set()
+    const walk = (id) => {
+      while (id && !visited.has(id)) {
+        visited.add(id)
+        ordered_pages.push(pages.get(id))
+        id = next_ids.get(id)
+      }
+    }
+    head_ids.forEach(walk)
+    // リンクが循環しているページも取りこぼさない
+    for (const id of pages.keys()) {
+      walk(id)
+    }
+
+    // ページ間で重複するアクティビティは除外
+    const seen_ids = new Set()
+    const items = []
+    for (const page of ordered_pages) {
+      for (const item of page.orderedItems || page.items || []) {
+        const item_id = get_link_id(item)
+        if (item_id) {
+          if (seen_ids.has(item_id)) continue
+          seen_ids.add(item_id)
+        }
+        items.push(item)
+      }
+    }
+
+    return items
+  }
+
   /**
    * アクティビティから投稿データを抽出
    * @param {Object} activity - Createアクティビティ
@@ -200,6 +700,7 @@ export class MastodonImporter extends BaseImporter {
       visibility: object.to?.includes('https://www.w3.org/ns/activitystreams#Public') ? 'public' : 'unlisted',
       sensitive: object.sensitive || false,
       spoiler_text: object.summary || '',
+      edited_at: object.updated || null,
 
       // 返信情報
       in_reply_to_id: object.inReplyTo,
@@ -380,6 +881,11 @@ export class MastodonImporter extends BaseImporter {
         post.author.username = this.mastodon_account
       }
 
+      // actor.jsonから表示名を取得できている場合は自分の投稿に設定
+      if (this.mastodon_display_name && !raw_status.is_boost) {
+        post.author.name = this.mastodon_display_name
+      }
+
       // ブーストの場合、author情報はそのまま（ブースト元の情報）を使用
       // transform_mastodon_dataで既に正しく設定されているはず
 
@@ -389,6 +895,11 @@ export class MastodonImporter extends BaseImporter {
         post.sns_specific.instance = instance_match[1]
       }
 
+      // 編集された投稿は最終編集日時を記録
+      if (raw_status.edited_at) {
+        post.sns_specific.edited_at = raw_status.edited_at
+      }
+
       // ブースト情報の保存
       if (raw_status.is_boost) {
         post.is_repost = true  // 統一スキーマのリポストフラグを設定
@@ -515,7 +1026,21 @@ export class MastodonImporter extends BaseImporter {
    * @returns {Array<string>} 拡張子の配列
    */
   get_valid_extensions() {
-    return ['json']
+    return ['json', 'gz', 'tgz']
+  }
+
+  /**
+   * ファイルの妥当性を検証
+   * @param {File} file - 検証するファイル
+   * @returns {Object} 検証結果
+   */
+  validate_file(file) {
+    // tar以外のgzipファイル（バックアップファイルなど）は対象外
+    if (!this.is_archive_file(file) && file.name.toLowerCase().endsWith('.gz')) {
+      return { valid: false, message: 'Mastodonのアーカイブは.tar.gz形式のファイルを選択してください' }
+    }
+
+    return super.validate_file(file)
   }
 
   /**
@@ -529,18 +1054,20 @@ export class MastodonImporter extends BaseImporter {
         '「インポートとエクスポート」→「データのエクスポート」を選択',
         '投稿のアーカイブをリクエスト',
         'メールで通知が来たらダウンロード',
-        'アーカイブを解凍してoutbox.jsonファイルを見つける',
-        'outbox.jsonファイルを選択してインポート'
+        'ダウンロードしたアーカイブ（.tar.gz）を解凍せずに選択してインポート'
       ],
       file_info: {
-        format: 'outbox.json',
-        location: 'アーカイブ内のoutbox.json',
+        format: 'archive-*.tar.gz, outbox.json',
+        location: 'archive-*.tar.gz またはアーカイブ内のoutbox.json',
         description: 'ActivityPub形式の投稿データファイル'
       },
       notes: [
         'エクスポートにはインスタンスによって時間がかかる場合があります',
-        'メディアファイル（画像・動画）は別途保存が必要です',
+        'アーカイブを選択した場合、アカウント情報はactor.jsonから読み込まれます',
+        'アーカイブを選択した場合、添付メディアとアバター画像もローカルに保存されます',
+        'アーカイブを選択した場合、いいね・ブックマークした投稿はKEEPに追加されます',
         'インスタンスによってエクスポート形式が異なる場合があります',
+        'ページ分割されたoutbox（OrderedCollectionPage）は、全ページのファイルをまとめて選択してください',
         'ブーストした投稿も含まれます'
       ]
     }
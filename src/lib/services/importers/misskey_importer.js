@@ -0,0 +1,156 @@
+import { BaseImporter } from './base_importer.js'
+import { create_post_from_raw_data } from '../../models/post.js'
+
+/**
+ * Misskey専用インポーター
+ * Misskey・Firefishのノートのエクスポート（notes-*.json）のインポートを処理
+ */
+export class MisskeyImporter extends BaseImporter {
+  constructor() {
+    super('misskey')
+  }
+
+  /**
+   * Misskeyのnotes-*.jsonファイルをインポート
+   * @param {File} file - notes-*.jsonファイル
+   * @param {Object} options - オプション（misskey_account: ユーザー名@サーバー名）
+   * @returns {Promise<ImportResult>} インポート結果
+   */
+  async import_data(file, options = {}) {
+    const { progress_callback = null, filter_callback = null, misskey_account = null } = options
+
+    try {
+      // ファイル検証
+      const validation_result = this.validate_file(file)
+      if (!validation_result.valid) {
+        throw new Error(validation_result.message)
+      }
+
+      // ファイル内容を読み込み
+      const content = await this.read_file_content(file, progress_callback)
+
+      this.report_progress(progress_callback, {
+        step: 'parsing',
+        progress: 0,
+        message: 'Misskeyデータを解析しています...'
+      })
+
+      const raw_notes = this.parse_misskey_data(content)
+
+      if (raw_notes.length === 0) {
+        throw new Error('有効なノートデータが見つかりませんでした')
+      }
+
+      this.report_progress(progress_callback, {
+        step: 'parsed',
+        progress: 100,
+        message: `${raw_notes.length.toLocaleString()}件のノートを検出しました`
+      })
+
+      // エクスポートには投稿者情報が含まれないため、入力されたアカウントを補う
+      const user = this.create_user_from_account(misskey_account)
+
+      // バッチ処理でポストを変換
+      const post_count = await this.process_posts_in_batches(
+        raw_notes,
+        async (batch) => {
+          const notes = batch.map(note => note.user ? note : { ...note, user })
+          const transformed = await this.transform_posts_batch(notes, null)
+          // フィルターコールバックがある場合は適用
+          if (filter_callback) {
+            const filtered = await filter_callback(transformed)
+            return filtered || []
+          }
+          return transformed
+        },
+        progress_callback
+      )
+
+      return this.create_import_result(true, post_count)
+
+    } catch (error) {
+
+      return this.create_error_result(error)
+    }
+  }
+
+  /**
+   * notes-*.jsonからノートデータを解析
+   * @param {string} content - notes-*.jsonの内容
+   * @returns {Array} ノートの配列
+   */
+  parse_misskey_data(content) {
+    let data
+    try {
+      data = JSON.parse(content)
+    } catch (error) {
+      throw new Error('Misskeyデータの形式が正しくありません。Misskeyからエクスポートしたnotes-*.jsonを使用してください。')
+    }
+
+    const notes = Array.isArray(data) ? data : data?.notes
+
+    if (!Array.isArray(notes)) {
+      throw new Error('Misskeyデータが配列形式ではありません')
+    }
+
+    return notes.filter(note => note && note.id && note.createdAt)
+  }
+
+  /**
+   * アカウント名から投稿者情報を作成
+   * @param {string} account - ユーザー名@サーバー名
+   * @returns {Object} { username, host, name }
+   */
+  create_user_from_account(account) {
+    const [username = 'unknown', host = null] = (account || '').split('@')
+
+    return {
+      username: username || 'unknown',
+      host,
+      name: username || 'unknown'
+    }
+  }
+
+  /**
+   * Misskeyの生データを統一スキーマに変換
+   * @param {Object} raw_note - Misskeyのノート
+   * @returns {Object} 統一スキーマのデータ
+   */
+  transform_to_unified_schema(raw_note) {
+    const post = create_post_from_raw_data('misskey', raw_note)
+    return post.to_db_object()
+  }
+
+  /**
+   * 有効なファイル拡張子を取得
+   * @returns {Array<string>} 拡張子の配列
+   */
+  get_valid_extensions() {
+    return ['json']
+  }
+
+  /**
+   * インポート手順を取得
+   * @returns {Object} インポート手順情報
+   */
+  get_import_instructions() {
+    return {
+      steps: [
+        'Misskeyの「設定」→「インポートとエクスポート」を開く',
+        '「全てのノート」のエクスポートを実行',
+        '完了通知が届いたらドライブからnotes-*.jsonをダウンロード',
+        'notes-*.jsonファイルを選択してインポート'
+      ],
+      file_info: {
+        format: 'notes-*.json',
+        location: 'ドライブ内の「エクスポート」フォルダ',
+        description: 'Misskey・Firefishのノートデータファイル'
+      },
+      notes: [
+        'Firefishなど、Misskey互換サーバーのエクスポートにも対応しています',
+        'リノートした相手のノートの本文はエクスポートに含まれません',
+        'CW（注釈）付きのノートは本文と注釈を分けて保存します'
+      ]
+    }
+  }
+}
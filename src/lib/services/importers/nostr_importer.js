@@ -0,0 +1,187 @@
+import { BaseImporter } from './base_importer.js'
+import { create_post_from_raw_data } from '../../models/post.js'
+import { compute_event_id } from '../../utils/nostr_utils.js'
+
+// インポート対象のイベント種別（1: テキストノート、6: リポスト）
+const NOTE_KINDS = [1, 6]
+
+/**
+ * Nostr専用インポーター
+ * リレーやクライアントからエクスポートしたイベントのJSON Lines（.jsonl）のインポートを処理
+ */
+export class NostrImporter extends BaseImporter {
+  constructor() {
+    super('nostr')
+  }
+
+  /**
+   * NostrのイベントJSONLファイルをインポート
+   * @param {File} file - .jsonlファイル
+   * @param {Object} options - オプション
+   * @returns {Promise<ImportResult>} インポート結果
+   */
+  async import_data(file, options = {}) {
+    const { progress_callback = null, filter_callback = null } = options
+
+    try {
+      // ファイル検証
+      const validation_result = this.validate_file(file)
+      if (!validation_result.valid) {
+        throw new Error(validation_result.message)
+      }
+
+      // ファイル内容を読み込み
+      const content = await this.read_file_content(file, progress_callback)
+
+      this.report_progress(progress_callback, {
+        step: 'parsing',
+        progress: 0,
+        message: 'Nostrイベントを解析しています...'
+      })
+
+      const { events, invalid_count } = this.parse_nostr_data(content)
+
+      if (events.length === 0) {
+        throw new Error('kind 1（ノート）またはkind 6（リポスト）のイベントが見つかりませんでした')
+      }
+
+      this.report_progress(progress_callback, {
+        step: 'parsed',
+        progress: 100,
+        message: `${events.length.toLocaleString()}件のイベントを検出しました`
+      })
+
+      // IDが一致しない（改ざんされた）イベントは保存前に除外する
+      let tampered_count = 0
+      const seen_ids = new Set()
+
+      const post_count = await this.process_posts_in_batches(
+        events,
+        async (batch) => {
+          const verified = []
+          for (const event of batch) {
+            if (!await this.verify_event(event)) {
+              tampered_count++
+              continue
+            }
+            // 複数のリレーから取得した重複イベントを除外（検証後に行い、改ざん版で正規のイベントを消さない）
+            if (seen_ids.has(event.id)) continue
+            seen_ids.add(event.id)
+
+            verified.push(event)
+          }
+
+          const transformed = await this.transform_posts_batch(verified, null)
+          // フィルターコールバックがある場合は適用
+          if (filter_callback) {
+            const filtered = await filter_callback(transformed)
+            return filtered || []
+          }
+          return transformed
+        },
+        progress_callback
+      )
+
+      const result = this.create_import_result(true, post_count)
+      result.tampered_count = tampered_count
+      result.invalid_count = invalid_count
+      return result
+
+    } catch (error) {
+
+      return this.create_error_result(error)
+    }
+  }
+
+  /**
+   * JSONLからノート・リポストのイベントを解析
+   * @param {string} content - .jsonlファイルの内容
+   * @returns {Object} { events: イベントの配列, invalid_count: 解析できなかった行数 }
+   */
+  parse_nostr_data(content) {
+    const events = []
+    let invalid_count = 0
+
+    for (const line of content.split(/\r?\n/)) {
+      if (!line.trim()) continue
+
+      let event
+      try {
+        event = JSON.parse(line)
+      } catch (error) {
+        invalid_count++
+        continue
+      }
+
+      // リレーからの取得結果は["EVENT", subscription_id, event]形式の場合がある
+      if (Array.isArray(event) && event[0] === 'EVENT') {
+        event = event[event.length - 1]
+      }
+
+      if (!event || !NOTE_KINDS.includes(event.kind)) continue
+
+      events.push(event)
+    }
+
+    return { events, invalid_count }
+  }
+
+  /**
+   * イベントの形式とIDを検証
+   * @param {Object} event - Nostrイベント
+   * @returns {Promise<boolean>} 正しいイベントの場合true
+   */
+  async verify_event(event) {
+    const is_valid_shape =
+      /^[0-9a-f]{64}$/.test(event.id) &&
+      /^[0-9a-f]{64}$/.test(event.pubkey) &&
+      Number.isInteger(event.created_at) &&
+      Array.isArray(event.tags) &&
+      typeof event.content === 'string'
+
+    if (!is_valid_shape) return false
+
+    return await compute_event_id(event) === event.id
+  }
+
+  /**
+   * Nostrの生データを統一スキーマに変換
+   * @param {Object} raw_event - Nostrイベント
+   * @returns {Object} 統一スキーマのデータ
+   */
+  transform_to_unified_schema(raw_event) {
+    const post = create_post_from_raw_data('nostr', raw_event)
+    return post.to_db_object()
+  }
+
+  /**
+   * 有効なファイル拡張子を取得
+   * @returns {Array<string>} 拡張子の配列
+   */
+  get_valid_extensions() {
+    return ['jsonl']
+  }
+
+  /**
+   * インポート手順を取得
+   * @returns {Object} インポート手順情報
+   */
+  get_import_instructions() {
+    return {
+      steps: [
+        'クライアントやリレーのツールで自分のイベントをエクスポート',
+        '1行に1イベントのJSON Lines形式（.jsonl）で保存',
+        '.jsonlファイルを選択してインポート'
+      ],
+      file_info: {
+        format: '*.jsonl',
+        location: 'エクスポートツールの保存先',
+        description: 'NostrのイベントデータファイルJSON Lines'
+      },
+      notes: [
+        'kind 1（ノート）とkind 6（リポスト）のみをインポートします',
+        'イベントIDを検証し、内容が改ざんされたイベントは保存しません'
+      ]
+    }
+  }
+}
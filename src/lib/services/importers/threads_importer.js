@@ -0,0 +1,339 @@
+import { BaseImporter } from './base_importer.js'
+import { create_post_from_raw_data } from '../../models/post.js'
+
+// 投稿一覧が格納されているキー（エクスポート時期によって異なる）
+const POST_LIST_KEYS = ['text_post_app_text_posts', 'text_post_app_text_app_posts', 'threads_and_replies']
+
+// HTML形式のエクスポートで投稿ごとに囲まれているブロックの開始（class="pam ..."）
+const HTML_POST_BLOCK_PATTERN = /<div class="pam[ "]/g
+// HTML形式のエクスポートで本文の前に付く見出し
+const HTML_TEXT_LABELS = ['Text', 'テキスト']
+// HTML形式のエクスポートで本文として扱わない見出し
+const HTML_IGNORED_LABELS = ['Creation timestamp', '作成日時', 'Media', 'メディア']
+// 日本語表記の日時（2023年7月6日 21:12）
+const JAPANESE_DATE_PATTERN = /^(\d{4})年(\d{1,2})月(\d{1,2})日\s*(\d{1,2}):(\d{2})(?::(\d{2}))?$/
+// HTMLの文字参照
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+/**
+ * Threads専用インポーター
+ * Metaの「情報をダウンロード」で取得したthreads_and_replies.json・threads_and_replies.htmlのインポートを処理
+ */
+export class ThreadsImporter extends BaseImporter {
+  constructor() {
+    super('threads')
+  }
+
+  /**
+   * Threadsのthreads_and_replies.json・threads_and_replies.htmlファイルをインポート
+   * @param {File} file - threads_and_replies.jsonまたはthreads_and_replies.htmlファイル
+   * @param {Object} options - オプション（threads_username: Threadsのユーザー名）
+   * @returns {Promise<ImportResult>} インポート結果
+   */
+  async import_data(file, options = {}) {
+    const { progress_callback = null, filter_callback = null, threads_username = null } = options
+
+    try {
+      // ファイル検証
+      const validation_result = this.validate_file(file)
+      if (!validation_result.valid) {
+        throw new Error(validation_result.message)
+      }
+
+      // ファイル内容を読み込み
+      const content = await this.read_file_content(file, progress_callback)
+
+      this.report_progress(progress_callback, {
+        step: 'parsing',
+        progress: 0,
+        message: 'Threadsデータを解析しています...'
+      })
+
+      const raw_posts = this.parse_threads_data(content, threads_username)
+
+      if (raw_posts.length === 0) {
+        throw new Error('有効な投稿データが見つかりませんでした')
+      }
+
+      this.report_progress(progress_callback, {
+        step: 'parsed',
+        progress: 100,
+        message: `${raw_posts.length.toLocaleString()}件の投稿を検出しました`
+      })
+
+      // バッチ処理でポストを変換
+      const post_count = await this.process_posts_in_batches(
+        raw_posts,
+        async (batch) => {
+          const transformed = await this.transform_posts_batch(batch, null)
+          // フィルターコールバックがある場合は適用
+          if (filter_callback) {
+            const filtered = await filter_callback(transformed)
+            return filtered || []
+          }
+          return transformed
+        },
+        progress_callback
+      )
+
+      return this.create_import_result(true, post_count)
+
+    } catch (error) {
+
+      return this.create_error_result(error)
+    }
+  }
+
+  /**
+   * threads_and_replies.json・threads_and_replies.htmlから投稿データを解析
+   * @param {string} content - threads_and_replies.jsonまたはthreads_and_replies.htmlの内容
+   * @param {string} username - 投稿者のユーザー名
+   * @returns {Array<Object>} { id, text, creation_timestamp, media, username }の配列
+   */
+  parse_threads_data(content, username) {
+    if (content.trimStart().startsWith('<')) {
+      return this.parse_threads_html(content, username)
+    }
+
+    let data
+    try {
+      data = JSON.parse(content)
+    } catch (error) {
+      throw new Error('Threadsデータの形式が正しくありません。Metaの「情報をダウンロード」で取得したthreads_and_replies.jsonを使用してください。')
+    }
+
+    const items = Array.isArray(data)
+      ? data
+      : POST_LIST_KEYS.map(key => data?.[key]).find(Array.isArray)
+
+    if (!Array.isArray(items)) {
+      throw new Error('Threadsの投稿データが見つかりませんでした')
+    }
+
+    return items
+      .map(item => this.normalize_post(item, username))
+      .filter(post => post !== null)
+  }
+
+  /**
+   * HTML形式のエクスポートから投稿データを解析
+   * Web Worker内ではDOMParserを使えないため、投稿ごとのブロックを文字列として分割し、
+   * ブロック内のテキストから本文・日時を、img・video・リンクからメディアを取り出す
+   * @param {string} content - threads_and_replies.htmlの内容
+   * @param {string} username - 投稿者のユーザー名
+   * @returns {Array<Object>} { id, text, creation_timestamp, media, username }の配列
+   */
+  parse_threads_html(content, username) {
+    const block_starts = [...content.matchAll(HTML_POST_BLOCK_PATTERN)].map(match => match.index)
+
+    if (block_starts.length === 0) {
+      throw new Error('Threadsデータの形式が正しくありません。Metaの「情報をダウンロード」で取得したthreads_and_replies.htmlを使用してください。')
+    }
+
+    const posts = []
+    for (let i = 0; i < block_starts.length; i++) {
+      const block = content.substring(block_starts[i], block_starts[i + 1] ?? content.length)
+      const post = this.parse_html_post_block(block, username)
+      if (post) {
+        posts.push(post)
+      }
+    }
+
+    return posts
+  }
+
+  /**
+   * HTML形式のエクスポートの投稿ブロックを解析
+   * エクスポートには投稿IDが含まれないため、JSON形式と同様に日時（UNIX秒）と本文からIDを作る
+   * @param {string} block - 投稿ブロックのHTML
+   * @param {string} username - 投稿者のユーザー名
+   * @returns {Object|null} 正規化した投稿（日時がないものはnull）
+   */
+  parse_html_post_block(block, username) {
+    const segments = block
+      .replace(/<br\s*\/?>/gi, '\n')
+      .split(/<[^>]+>/)
+      .map(segment => this.decode_html_entities(segment).trim())
+      .filter(segment => segment !== '')
+
+    // 日時はブロック内の最後の日付として解釈できるテキスト
+    let date_index = -1
+    let creation_timestamp = null
+    for (let i = segments.length - 1; i >= 0; i--) {
+      creation_timestamp = this.parse_html_date(segments[i])
+      if (creation_timestamp) {
+        date_index = i
+        break
+      }
+    }
+
+    if (!creation_timestamp) return null
+
+    // 見出し（Text）がある場合はその次のテキストを、ない場合は見出し以外のテキストを本文とする
+    const label_index = segments.findIndex(segment => HTML_TEXT_LABELS.includes(segment))
+    const text = label_index >= 0 && label_index + 1 < segments.length && label_index + 1 !== date_index
+      ? segments[label_index + 1]
+      : segments
+        .filter((segment, index) => index !== date_index && !HTML_TEXT_LABELS.includes(segment) && !HTML_IGNORED_LABELS.includes(segment))
+        .join('\n')
+
+    const media_uris = new Set()
+    for (const match of block.matchAll(/<(?:img|video|source|a)\b[^>]*?\b(?:src|href)="([^"]+)"/gi)) {
+      const uri = this.decode_html_entities(match[1])
+      // 外部リンクではなく、エクスポート内のメディアファイルのみを対象にする
+      if (!/^[a-z]+:/i.test(uri) && !uri.startsWith('#')) {
+        media_uris.add(uri)
+      }
+    }
+
+    return {
+      id: `${creation_timestamp}_${this.hash_string(text)}`,
+      text,
+      creation_timestamp,
+      media: [...media_uris].map(uri => ({ uri })),
+      username: username || 'unknown'
+    }
+  }
+
+  /**
+   * HTML形式のエクスポートの日時を解析
+   * @param {string} text - 日時のテキスト（Jul 06, 2023 9:12 pm・2023年7月6日 21:12など）
+   * @returns {number|null} UNIX秒（日時でない場合はnull）
+   */
+  parse_html_date(text) {
+    // 数字を含まない短い見出しなどを日時として扱わない
+    if (!/\d{4}/.test(text) || !/\d{1,2}:\d{2}/.test(text) || text.length > 40) return null
+
+    const japanese_match = text.match(JAPANESE_DATE_PATTERN)
+    const date = japanese_match
+      ? new Date(
+        Number(japanese_match[1]),
+        Number(japanese_match[2]) - 1,
+        Number(japanese_match[3]),
+        Number(japanese_match[4]),
+        Number(japanese_match[5]),
+        Number(japanese_match[6] || 0)
+      )
+      : new Date(text)
+
+    return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000)
+  }
+
+  /**
+   * HTMLの文字参照をデコード
+   * @param {string} text - HTMLのテキスト
+   * @returns {string} デコードした文字列
+   */
+  decode_html_entities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code_point = name[1] === 'x' || name[1] === 'X'
+          ? parseInt(name.substring(2), 16)
+          : parseInt(name.substring(1), 10)
+        return code_point > 0 && code_point <= 0x10ffff ? String.fromCodePoint(code_point) : entity
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity
+    })
+  }
+
+  /**
+   * エクスポートの投稿を正規化
+   * テキストのみの投稿は、本文がmedia[0].titleに入っている場合がある
+   * @param {Object} item - エクスポートの投稿
+   * @param {string} username - 投稿者のユーザー名
+   * @returns {Object|null} 正規化した投稿（日時がないものはnull）
+   */
+  normalize_post(item, username) {
+    if (!item || typeof item !== 'object') return null
+
+    const media_items = Array.isArray(item.media) ? item.media : []
+    const creation_timestamp = item.creation_timestamp || media_items[0]?.creation_timestamp
+
+    if (!creation_timestamp) return null
+
+    const text = this.decode_meta_text(
+      item.title ||
+      item.string_map_data?.Text?.value ||
+      media_items.find(media => media.title)?.title ||
+      ''
+    )
+
+    const media = media_items
+      .filter(media => media.uri)
+      .map(media => ({ uri: this.decode_meta_text(media.uri) }))
+
+    // エクスポートには投稿IDが含まれないため、日時と本文からIDを作る
+    const id = `${creation_timestamp}_${this.hash_string(text)}`
+
+    return {
+      id,
+      text,
+      creation_timestamp,
+      media,
+      username: username || 'unknown'
+    }
+  }
+
+  /**
+   * Metaのエクスポートの文字化けを修正
+   * UTF-8のバイト列が1バイトずつ\u00XXとしてエスケープされているため、バイト列に戻してデコードする
+   * @param {string} text - エクスポートの文字列
+   * @returns {string} デコードした文字列
+   */
+  decode_meta_text(text) {
+    // U+0080〜U+00FFを含み、それより大きい文字を含まない場合のみ対象
+    if (!text || !/[\u0080-\u00ff]/.test(text) || /[^\u0000-\u00ff]/.test(text)) {
+      return text || ''
+    }
+
+    try {
+      const bytes = Uint8Array.from(text, char => char.charCodeAt(0))
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+    } catch (error) {
+      // UTF-8として解釈できない場合は元の文字列（Latin-1の文字など）
+      return text
+    }
+  }
+
+  /**
+   * Threadsの生データを統一スキーマに変換
+   * @param {Object} raw_post - 正規化済みの投稿
+   * @returns {Object} 統一スキーマのデータ
+   */
+  transform_to_unified_schema(raw_post) {
+    const post = create_post_from_raw_data('threads', raw_post)
+    return post.to_db_object()
+  }
+
+  /**
+   * 有効なファイル拡張子を取得
+   * @returns {Array<string>} 拡張子の配列
+   */
+  get_valid_extensions() {
+    return ['json', 'html']
+  }
+
+  /**
+   * インポート手順を取得
+   * @returns {Object} インポート手順情報
+   */
+  get_import_instructions() {
+    return {
+      steps: [
+        'Threadsの「設定」→「アカウント」→「情報をダウンロード」を開く',
+        '形式を「JSON」または「HTML」にしてダウンロードをリクエスト',
+        '準備ができたらZIPファイルをダウンロードして解凍',
+        'threads_and_replies.jsonまたはthreads_and_replies.htmlファイルを選択してインポート'
+      ],
+      file_info: {
+        format: 'threads_and_replies.json / threads_and_replies.html',
+        location: 'your_instagram_activity/threads/',
+        description: 'Threadsの投稿・返信データファイル'
+      },
+      notes: [
+        'エクスポートには投稿のURLが含まれないため、元の投稿は開けません',
+        '画像・動画はファイル名のみを記録します'
+      ]
+    }
+  }
+}
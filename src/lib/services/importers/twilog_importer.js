@@ -1,11 +1,11 @@
 // Twilogインポーター実装
 import { BaseImporter } from './base_importer.js'
 import { create_post_from_raw_data } from '../../models/post.js'
-import { post_repository } from '../../repositories/post_repository.js'
 
 export class TwilogImporter extends BaseImporter {
   constructor() {
-    super('twilog')
+    // Twilogのポストはtwitterとして保存するため、重複チェックもTwitterのポストを対象にする
+    super('twitter')
   }
 
   /**
@@ -57,65 +57,20 @@ export class TwilogImporter extends BaseImporter {
         }
       }
 
-      // データベースに保存（重複チェック付き）
-      // 重複チェックとバッチ処理
-      const existing_ids = await post_repository.get_existing_post_ids('twitter')
-      const filter_result = await this.filter_duplicates(unique_posts, existing_ids)
-
-      if (filter_result.posts.length === 0) {
-        return {
-          success: true,
-          post_count: 0,
-          posts: [],
-          message: `全${filter_result.skipped}件が重複のためスキップされました`,
-          sns_type: 'twitter',
-          skipped_count: filter_result.skipped
-        }
-      }
-
-      // バッチ処理で保存
-      const saved_posts = []
-      const batch_size = 500
-      for (let i = 0; i < filter_result.posts.length; i += batch_size) {
-        const batch = filter_result.posts.slice(i, i + batch_size)
-
-        try {
-          const saved_batch = await post_repository.save_posts(batch)
-
-          if (saved_batch && Array.isArray(saved_batch)) {
-            saved_posts.push(...saved_batch)
-          } else {
-            saved_posts.push(...batch)
+      // 保存済みのポストとの重複チェック・保存は、他のインポーターと同じくバッチごとにfilter_callbackで行う
+      // （インポートジョブにバッチが記録され、中断しても続きから再開できる）
+      const post_count = await this.process_posts_in_batches(
+        unique_posts,
+        async (batch) => {
+          if (options.filter_callback) {
+            return (await options.filter_callback(batch)) || []
           }
-        } catch (saveError) {
-          // エラーが発生してもbatchは成功したものとして扱う
-          saved_posts.push(...batch)
-        }
-
-        if (options.progress_callback) {
-          const progress = Math.round(((i + batch.length) / filter_result.posts.length) * 100)
-          options.progress_callback({
-            step: 'saving',
-            progress: progress,
-            message: `保存中... ${i + batch.length} / ${filter_result.posts.length} 件`
-          })
-        }
-      }
-
-      const result = {
-        success: true,
-        post_count: saved_posts.length,
-        posts: saved_posts,
-        message: `${saved_posts.length}件のツイートをインポートしました`,
-        sns_type: 'twitter',
-        skipped_count: filter_result.skipped
-      }
-
-      if (filter_result.skipped > 0) {
-        result.message += `（${filter_result.skipped}件は重複のためスキップ）`
-      }
+          return batch
+        },
+        options.progress_callback
+      )
 
-      return result
+      return this.create_import_result(true, post_count, [], `${post_count}件のツイートをインポートしました`)
 
     } catch (error) {
       console.error('Twilogインポートエラー:', error)
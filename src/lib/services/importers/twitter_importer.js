@@ -1,24 +1,51 @@
 import { BaseImporter } from './base_importer.js'
 import { PostModel, create_post_from_raw_data } from '../../models/post.js'
 import { security_validator } from '../../utils/validation.js'
+import { ZipArchive } from '../../utils/zip_reader.js'
+import { JsonArrayStream } from '../../utils/json_array_stream.js'
+import { file_processor } from '../../utils/file_utils.js'
+import { media_repository } from '../../repositories/media_repository.js'
+
+// アーカイブZIP内のツイートデータ（tweets.js, tweets-part1.js, ... 旧形式のtweet.jsも含む）
+const ARCHIVE_TWEETS_PATTERN = /(^|\/)data\/tweets?(-part\d+)?\.js$/i
+// tweets.jsの配列の前置き（window.YTD.tweets.part0 =）
+const TWEETS_JS_PREFIX_PATTERN = /^window\.YTD\.tweets?\.part\d+\s*=$/
+// アーカイブZIP内のアカウント情報
+const ARCHIVE_ACCOUNT_PATTERN = /(^|\/)data\/account\.js$/i
+// アーカイブZIP内のメディアファイル（data/tweets_media/<ツイートID>-<メディアID>.<拡張子>）
+const ARCHIVE_MEDIA_PATTERN = /(^|\/)data\/tweets_media\/(\d+)-([^\/]+)$/i
+
+// メディア保存時のバッチ上限（件数・バイト数）
+const MEDIA_BATCH_COUNT = 50
+const MEDIA_BATCH_BYTES = 50 * 1024 * 1024
+
+// アーカイブから取り込んだポストの取り込み元
+const ARCHIVE_IMPORT_SOURCE = 'twitter_archive'
 
 /**
  * Twitter専用インポーター
- * tweets.jsファイルのインポートを処理
+ * tweets.jsファイル、またはアーカイブZIPのインポートを処理
  */
 export class TwitterImporter extends BaseImporter {
   constructor() {
     super('twitter')
+    // TwilogのCSVから取り込んだポストはアーカイブのデータで置き換える
+    this.UPGRADABLE_SOURCES = ['twilog']
+    // 編集されたツイートの各版は最初の版のポストにまとめる
+    this.MERGE_EDIT_VERSIONS = true
+    // アーカイブZIPは必要なエントリだけを、tweets.jsはチャンクごとに読み込む
+    this.STREAMED_EXTENSIONS = ['zip', 'js']
   }
 
   /**
-   * tweets.jsファイルをインポート
-   * @param {File} file - tweets.jsファイル
+   * tweets.jsファイルまたはアーカイブZIPをインポート
+   * @param {File} file - tweets.jsファイルまたはtwitter-*.zip
    * @param {Function} progress_callback - 進捗コールバック
    * @returns {Promise<ImportResult>} インポート結果
    */
   async import_data(file, options = {}) {
-    const { progress_callback = null, filter_callback = null, twitter_username = null } = options;
+    const { progress_callback = null, filter_callback = null, preview = false } = options;
+    let { twitter_username = null } = options;
     
     console.log('[TwitterImporter] import_data called with options:', { twitter_username, hasFilterCallback: !!filter_callback })
     
@@ -29,57 +56,58 @@ export class TwitterImporter extends BaseImporter {
         throw new Error(validation_result.message)
       }
 
-      // ファイル内容を読み込み
-      const content = await this.read_file_content(file, progress_callback)
+      // 編集されたツイートの各版のID → まとめた先のポストID（版ごとのメディアの保存先）
+      const edit_version_post_ids = new Map()
 
-      // tweets.jsの内容を解析
-      this.report_progress(progress_callback, {
-        step: 'parsing',
-        progress: 0,
-        message: 'ツイートデータを解析しています...'
-      })
-
-      const raw_tweets = await this.parse_tweet_data(content)
-      
-      console.log('[TwitterImporter] Parsed tweets count:', raw_tweets?.length)
-      
-      if (!raw_tweets || raw_tweets.length === 0) {
-        throw new Error('有効なツイートデータが見つかりませんでした')
+      // ツイートを変換し、重複チェックを適用するバッチ処理
+      const process_batch = async (batch) => {
+        console.log('[TwitterImporter] Processing batch of size:', batch.length)
+        const transformed = await this.transform_posts_batch_with_username(batch, twitter_username)
+        console.log('[TwitterImporter] Transformed posts count:', transformed?.length)
+        for (const post of transformed) {
+          for (const tweet_id of post.sns_specific?.edit_tweet_ids || []) {
+            edit_version_post_ids.set(String(tweet_id), post.id)
+          }
+        }
+        // フィルターコールバックがある場合は適用
+        if (filter_callback) {
+          const filtered = await filter_callback(transformed)
+          console.log('[TwitterImporter] Filtered posts count:', filtered?.length)
+          return filtered || []
+        }
+        return this.fold_edit_versions(transformed)
       }
 
-      // ツイート数の検証
-      const count_validation = security_validator.validate_tweet_count(raw_tweets.length)
-      if (!count_validation.valid) {
-        throw new Error(count_validation.message)
-      }
+      let sources = [file]
+      let archive = null
 
-      this.report_progress(progress_callback, {
-        step: 'parsed',
-        progress: 100,
-        message: `${raw_tweets.length.toLocaleString()}件のツイートを検出しました`
-      })
+      if (this.is_archive_file(file)) {
+        // アーカイブZIPから全パートのツイートファイルとアカウント情報を読み込み
+        const archive_data = await this.read_archive(file, progress_callback)
+        archive = archive_data.archive
+        sources = archive_data.tweet_entries.map(entry => archive.open_entry(entry))
+
+        // ユーザー名が未入力の場合はaccount.jsの値を使用
+        if (!twitter_username && archive_data.account?.username) {
+          twitter_username = archive_data.account.username
+        }
+      }
 
-      // バッチ処理でポストを変換（twitter_usernameを渡す）
+      // tweets.jsは全体を読み込まず、ツイートを1件ずつ解析しながら変換
       console.log('[TwitterImporter] Starting batch processing with username:', twitter_username)
-      const posts = await this.process_posts_in_batches(
-        raw_tweets,
-        async (batch) => {
-          console.log('[TwitterImporter] Processing batch of size:', batch.length)
-          const transformed = await this.transform_posts_batch_with_username(batch, twitter_username)
-          console.log('[TwitterImporter] Transformed posts count:', transformed?.length)
-          // フィルターコールバックがある場合は適用
-          if (filter_callback) {
-            const filtered = await filter_callback(transformed)
-            console.log('[TwitterImporter] Filtered posts count:', filtered?.length)
-            return filtered || []
-          }
-          return transformed
-        },
-        progress_callback
-      )
+      const post_count = await this.import_tweets_stream(sources, process_batch, progress_callback)
 
-      console.log('[TwitterImporter] Final posts count:', posts?.length)
-      return this.create_import_result(true, posts ? posts.length : 0, posts || [])
+      // アーカイブのメディアファイルをローカルに保存（プレビュー時は保存しない）
+      // 重複でスキップされたポストにもメディアを補完するため、全ツイート分を対象にする
+      let media_count = 0
+      if (archive && !preview) {
+        media_count = await this.import_archive_media(archive, progress_callback, edit_version_post_ids)
+      }
+
+      console.log('[TwitterImporter] Final posts count:', post_count)
+      const result = this.create_import_result(true, post_count)
+      result.media_count = media_count
+      return result
 
     } catch (error) {
       console.error('[TwitterImporter] Error:', error)
@@ -87,6 +115,195 @@ export class TwitterImporter extends BaseImporter {
     }
   }
 
+  /**
+   * tweets.jsをストリームで読み込みながらインポート
+   * @param {Array<File|Object>} sources - tweets.jsファイル、またはアーカイブ内の各パート（ZipArchive.open_entryの戻り値）
+   * @param {Function} process_batch - バッチ処理関数
+   * @param {Function} progress_callback - 進捗コールバック
+   * @returns {Promise<number>} 変換されたポストの件数
+   */
+  async import_tweets_stream(sources, process_batch, progress_callback = null) {
+    this.report_progress(progress_callback, {
+      step: 'parsing',
+      progress: 0,
+      message: 'ツイートデータを解析しています...'
+    })
+
+    let tweet_count = 0
+    let source_index = 0
+    let stream = null
+
+    const tweets = (async function* () {
+      for (; source_index < sources.length; source_index++) {
+        stream = new JsonArrayStream(sources[source_index], { prefix_pattern: TWEETS_JS_PREFIX_PATTERN })
+        try {
+          for await (const item of stream.items()) {
+            tweet_count++
+            yield item.tweet || item
+          }
+        } catch (error) {
+          throw new Error('ファイルの形式が正しくありません。TwitterからエクスポートしたZipファイル内のdata/tweets.jsファイルを使用してください。')
+        }
+      }
+    })()
+
+    const post_count = await this.process_stream_in_batches(
+      tweets,
+      async (batch) => {
+        // ツイート数の検証
+        const count_validation = security_validator.validate_tweet_count(tweet_count)
+        if (!count_validation.valid) {
+          throw new Error(count_validation.message)
+        }
+        return await process_batch(batch)
+      },
+      progress_callback,
+      // 複数パートの場合は読み込み済みのパート数も含めた割合
+      () => Math.min(100, Math.round((source_index * 100 + (stream ? stream.progress : 0)) / sources.length))
+    )
+
+    if (tweet_count === 0) {
+      throw new Error('有効なツイートデータが見つかりませんでした')
+    }
+
+    console.log('[TwitterImporter] Streamed tweets count:', tweet_count)
+    return post_count
+  }
+
+  /**
+   * アーカイブZIPかどうかを判定
+   * @param {File} file - 判定するファイル
+   * @returns {boolean} ZIPの場合true
+   */
+  is_archive_file(file) {
+    return file.name.toLowerCase().endsWith('.zip')
+  }
+
+  /**
+   * アーカイブZIPからツイートファイルの一覧とアカウント情報を読み込む
+   * ツイートファイルの内容はimport_tweets_streamでエントリごとに展開しながら読み込む
+   * @param {File} file - twitter-*.zip
+   * @param {Function} progress_callback - 進捗コールバック
+   * @returns {Promise<Object>} { tweet_entries, account, archive }
+   */
+  async read_archive(file, progress_callback = null) {
+    this.report_progress(progress_callback, {
+      step: 'zip_loading',
+      progress: 0,
+      message: 'アーカイブを開いています...'
+    })
+
+    const archive = await ZipArchive.open(file)
+
+    const tweet_entries = archive.find_entries(ARCHIVE_TWEETS_PATTERN)
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+
+    if (tweet_entries.length === 0) {
+      throw new Error('アーカイブ内にdata/tweets.jsが見つかりませんでした。Twitterからダウンロードしたアーカイブを選択してください。')
+    }
+
+    this.report_progress(progress_callback, {
+      step: 'zip_loaded',
+      progress: 100,
+      message: `${tweet_entries.length}個のツイートファイルを検出しました`
+    })
+
+    // account.jsからユーザー名を取得（見つからなくてもインポートは続行）
+    let account = null
+    const [account_entry] = archive.find_entries(ARCHIVE_ACCOUNT_PATTERN)
+    if (account_entry) {
+      try {
+        account = this.parse_account_data(await archive.read_entry_text(account_entry))
+      } catch (error) {
+        console.warn('[TwitterImporter] Failed to read account.js:', error)
+      }
+    }
+
+    return { tweet_entries, account, archive }
+  }
+
+  /**
+   * アーカイブのdata/tweets_media/内のファイルをBlobとして保存
+   * @param {ZipArchive} archive - 開いたアーカイブ
+   * @param {Function} progress_callback - 進捗コールバック
+   * @param {Map<string, string>} edit_version_post_ids - 編集されたツイートの版のID → まとめた先のポストID
+   * @returns {Promise<number>} 保存したメディア数
+   */
+  async import_archive_media(archive, progress_callback = null, edit_version_post_ids = new Map()) {
+    const entries = archive.find_entries(ARCHIVE_MEDIA_PATTERN)
+    if (entries.length === 0) {
+      return 0
+    }
+
+    let batch = []
+    let batch_bytes = 0
+    let saved_count = 0
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i]
+      const [, , tweet_id, file_name] = entry.name.match(ARCHIVE_MEDIA_PATTERN)
+
+      try {
+        const mime_type = file_processor.get_mime_type(file_name)
+        const blob = await archive.read_entry_blob(entry, mime_type)
+
+        batch.push({
+          post_id: edit_version_post_ids.get(tweet_id) || `twitter_${tweet_id}`,
+          media_id: file_name.replace(/\.[^.]+$/, ''),
+          sns_type: 'twitter',
+          file_name,
+          mime_type,
+          blob
+        })
+        batch_bytes += blob.size
+      } catch (error) {
+        // 壊れたメディアがあってもツイートのインポートは続行
+        console.warn('[TwitterImporter] Failed to read media:', entry.name, error)
+      }
+
+      if (batch.length >= MEDIA_BATCH_COUNT || batch_bytes >= MEDIA_BATCH_BYTES || i === entries.length - 1) {
+        await media_repository.save_media_files(batch)
+        saved_count += batch.length
+        batch = []
+        batch_bytes = 0
+
+        this.report_progress(progress_callback, {
+          step: 'media_saving',
+          progress: Math.round(((i + 1) / entries.length) * 100),
+          message: `メディアを保存中... ${(i + 1).toLocaleString()} / ${entries.length.toLocaleString()} 件`,
+          processed: i + 1,
+          total: entries.length
+        })
+      }
+    }
+
+    return saved_count
+  }
+
+  /**
+   * account.jsからアカウント情報を解析
+   * @param {string} content - account.jsの内容
+   * @returns {Object|null} { username, display_name }
+   */
+  parse_account_data(content) {
+    const start_match = /window\.YTD\.account\.part\d+\s*=\s*/.exec(content)
+    if (!start_match) return null
+
+    let json_str = content.substring(start_match.index + start_match[0].length).trim()
+    if (json_str.endsWith(';')) {
+      json_str = json_str.slice(0, -1).trim()
+    }
+
+    const account_data = JSON.parse(json_str)
+    const account = Array.isArray(account_data) ? account_data[0]?.account : null
+    if (!account?.username) return null
+
+    return {
+      username: account.username,
+      display_name: account.accountDisplayName || account.username
+    }
+  }
+
   /**
    * tweets.jsからツイートデータを解析
    * @param {string} content - tweets.jsの内容
@@ -95,7 +312,7 @@ export class TwitterImporter extends BaseImporter {
   async parse_tweet_data(content) {
     try {
       // データ形式の検出
-      const is_javascript_format = /window\.YTD\.tweets\.part\d+\s*=/.test(content)
+      const is_javascript_format = /window\.YTD\.tweets?\.part\d+\s*=/.test(content)
       
       if (is_javascript_format) {
         // JavaScript形式の解析
@@ -164,10 +381,12 @@ export class TwitterImporter extends BaseImporter {
           valid_count++
         } else {
           console.warn('[transform_posts_batch_with_username] Validation failed:', validation.errors)
+          this.record_rejected_post(raw_post, validation.errors)
           invalid_count++
         }
       } catch (error) {
         console.error('[transform_posts_batch_with_username] Error transforming post:', error)
+        this.record_rejected_post(raw_post, [`変換エラー: ${error.message}`])
         invalid_count++
       }
     }
@@ -188,7 +407,7 @@ export class TwitterImporter extends BaseImporter {
    */
   async parse_javascript_format(content) {
     // window.YTD.tweets.part0 = の位置を探す
-    const start_pattern = /window\.YTD\.tweets\.part\d+\s*=\s*/g
+    const start_pattern = /window\.YTD\.tweets?\.part\d+\s*=\s*/g
     const start_match = start_pattern.exec(content)
     
     if (!start_match) {
@@ -338,9 +557,9 @@ export class TwitterImporter extends BaseImporter {
       // URLの生成（ユーザー名が判明している場合は正確なURLを生成）
       if (!post.original_url) {
         if (post.author.username && post.author.username !== 'twitter_user') {
-          post.original_url = `https://twitter.com/${post.author.username}/status/${raw_tweet.id_str || raw_tweet.id}`
+          post.original_url = `https://twitter.com/${post.author.username}/status/${post.original_id}`
         } else {
-          post.original_url = `https://twitter.com/i/status/${raw_tweet.id_str || raw_tweet.id}`
+          post.original_url = `https://twitter.com/i/status/${post.original_id}`
         }
       }
       
@@ -390,6 +609,52 @@ export class TwitterImporter extends BaseImporter {
     }
   }
 
+  /**
+   * TwilogのCSVから取り込んだポストをアーカイブのデータで置き換える内容を取得
+   * アーカイブはエンゲージメント指標・メディア・エンティティを持つため、それらを優先する
+   * ポストのURLはTwilogの方が正確なため残し、各フィールドの取り込み元をsns_specific.field_sourcesに記録する
+   * @param {Object} existing - Twilogから取り込んだ保存済みのポスト
+   * @param {Object} incoming - アーカイブから変換したポスト
+   * @returns {Object|null} 更新内容
+   */
+  get_source_upgrade(existing, incoming) {
+    const existing_source = existing.sns_specific?.import_source
+    const has_archive_author = incoming.author?.username && incoming.author.username !== 'twitter_user'
+
+    const field_sources = {
+      content: incoming.content ? ARCHIVE_IMPORT_SOURCE : existing_source,
+      created_at: ARCHIVE_IMPORT_SOURCE,
+      author: has_archive_author ? ARCHIVE_IMPORT_SOURCE : existing_source,
+      metrics: ARCHIVE_IMPORT_SOURCE,
+      media: ARCHIVE_IMPORT_SOURCE,
+      entities: ARCHIVE_IMPORT_SOURCE,
+      original_url: existing.original_url ? existing_source : ARCHIVE_IMPORT_SOURCE
+    }
+
+    return {
+      content: incoming.content || existing.content,
+      created_at: incoming.created_at,
+      year_month: incoming.year_month,
+      author: has_archive_author ? incoming.author : existing.author,
+      metrics: incoming.metrics,
+      language: incoming.language,
+      media: incoming.media,
+      urls: incoming.urls,
+      hashtags: incoming.hashtags,
+      mentions: incoming.mentions,
+      is_repost: existing.is_repost || incoming.is_repost,
+      original_url: existing.original_url || incoming.original_url,
+      sns_specific: {
+        ...existing.sns_specific,
+        // アーカイブにない項目（Twilogで判定したリツイート元など）は残す
+        ...Object.fromEntries(Object.entries(incoming.sns_specific || {}).filter(([, value]) => value !== null && value !== undefined)),
+        import_source: ARCHIVE_IMPORT_SOURCE,
+        merged_sources: [existing_source, ARCHIVE_IMPORT_SOURCE],
+        field_sources
+      }
+    }
+  }
+
   /**
    * Twitter形式の日付をISO形式に変換
    * @param {string} twitter_date - Twitter形式の日付
@@ -414,7 +679,7 @@ export class TwitterImporter extends BaseImporter {
    * @returns {Array<string>} 拡張子の配列
    */
   get_valid_extensions() {
-    return ['js']
+    return ['js', 'zip']
   }
 
   /**
@@ -427,18 +692,18 @@ export class TwitterImporter extends BaseImporter {
         'Twitterの設定から「アカウント情報をダウンロード」を選択',
         'データのダウンロードをリクエスト（数時間〜数日かかる場合があります）',
         'ダウンロード完了通知が来たらZipファイルをダウンロード',
-        'Zipファイルを解凍',
-        'data/tweets.jsファイルを選択してインポート'
+        'ダウンロードしたZipファイル（またはdata/tweets.js）を選択してインポート'
       ],
       file_info: {
-        format: 'tweets.js',
-        location: 'data/tweets.js',
-        description: 'Twitterからエクスポートしたアーカイブ内のツイートデータファイル'
+        format: 'twitter-*.zip, tweets.js',
+        location: 'twitter-*.zip または data/tweets.js',
+        description: 'Twitterからエクスポートしたアーカイブ、またはアーカイブ内のツイートデータファイル'
       },
       notes: [
-        'Zipファイル自体ではなく、解凍後のtweets.jsファイルを選択してください',
+        'Zipファイルを選択した場合、分割されたtweets-partN.jsもまとめてインポートされます',
+        'Zipファイルを選択した場合、ユーザー名はaccount.jsから自動で取得されます',
         '大量のツイートがある場合、インポートに時間がかかることがあります',
-        'ツイートに含まれるメディアファイルは別途保存が必要です'
+        'Zipファイルを選択した場合、画像・動画もブラウザ内に保存されオフラインで表示できます'
       ]
     }
   }
@@ -0,0 +1,252 @@
+import { BaseImporter } from './base_importer.js'
+import { PostModel } from '../../models/post.js'
+import { security_validator } from '../../utils/validation.js'
+import { ZipArchive } from '../../utils/zip_reader.js'
+
+// アーカイブZIP内のいいねデータ（like.js, like-part1.js, ...）
+const ARCHIVE_LIKES_PATTERN = /(^|\/)data\/like(-part\d+)?\.js$/i
+
+// TwitterのSnowflake IDの基準時刻（2010-11-04）
+const TWITTER_EPOCH = 1288834974657n
+
+/**
+ * Twitterいいねインポーター
+ * like.js（またはアーカイブZIP内のlike.js）を「いいね」種別のポストとしてインポート
+ */
+export class TwitterLikesImporter extends BaseImporter {
+  constructor() {
+    // 重複チェックをTwitterのポストと共有するためsns_typeはtwitter
+    super('twitter')
+    // アーカイブZIPは必要なエントリだけを読み込む
+    this.STREAMED_EXTENSIONS = ['zip']
+  }
+
+  /**
+   * like.jsファイルまたはアーカイブZIPをインポート
+   * @param {File} file - like.jsファイルまたはtwitter-*.zip
+   * @param {Object} options - オプション
+   * @returns {Promise<ImportResult>} インポート結果
+   */
+  async import_data(file, options = {}) {
+    const { progress_callback = null, filter_callback = null } = options
+
+    try {
+      const validation_result = this.validate_file(file)
+      if (!validation_result.valid) {
+        throw new Error(validation_result.message)
+      }
+
+      let raw_likes
+
+      if (file.name.toLowerCase().endsWith('.zip')) {
+        raw_likes = await this.read_archive(file, progress_callback)
+      } else {
+        const content = await this.read_file_content(file, progress_callback)
+
+        this.report_progress(progress_callback, {
+          step: 'parsing',
+          progress: 0,
+          message: 'いいねデータを解析しています...'
+        })
+
+        raw_likes = this.parse_like_data(content)
+      }
+
+      if (raw_likes.length === 0) {
+        throw new Error('有効ないいねデータが見つかりませんでした')
+      }
+
+      const count_validation = security_validator.validate_tweet_count(raw_likes.length)
+      if (!count_validation.valid) {
+        throw new Error(count_validation.message)
+      }
+
+      this.report_progress(progress_callback, {
+        step: 'parsed',
+        progress: 100,
+        message: `${raw_likes.length.toLocaleString()}件のいいねを検出しました`
+      })
+
+      const post_count = await this.process_posts_in_batches(
+        raw_likes,
+        async (batch) => {
+          const transformed = await this.transform_posts_batch(batch)
+          if (filter_callback) {
+            return (await filter_callback(transformed)) || []
+          }
+          return transformed
+        },
+        progress_callback
+      )
+
+      return this.create_import_result(true, post_count, [], `${post_count.toLocaleString()}件のいいねをインポートしました`)
+
+    } catch (error) {
+      console.error('[TwitterLikesImporter] Error:', error)
+      return this.create_error_result(error)
+    }
+  }
+
+  /**
+   * アーカイブZIPからいいねデータを読み込む
+   * @param {File} file - twitter-*.zip
+   * @param {Function} progress_callback - 進捗コールバック
+   * @returns {Promise<Array>} いいねの配列
+   */
+  async read_archive(file, progress_callback = null) {
+    this.report_progress(progress_callback, {
+      step: 'zip_loading',
+      progress: 0,
+      message: 'アーカイブを開いています...'
+    })
+
+    const archive = await ZipArchive.open(file)
+    const entries = archive.find_entries(ARCHIVE_LIKES_PATTERN)
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+
+    if (entries.length === 0) {
+      throw new Error('アーカイブ内にdata/like.jsが見つかりませんでした')
+    }
+
+    const likes = []
+    for (let i = 0; i < entries.length; i++) {
+      this.report_progress(progress_callback, {
+        step: 'extracting',
+        progress: Math.round((i / entries.length) * 100),
+        message: `${entries[i].name} を展開しています...`,
+        processed: i,
+        total: entries.length
+      })
+
+      const content = await archive.read_entry_text(entries[i])
+      for (const like of this.parse_like_data(content)) {
+        likes.push(like)
+      }
+    }
+
+    return likes
+  }
+
+  /**
+   * like.jsの内容を解析
+   * @param {string} content - like.jsの内容
+   * @returns {Array} いいねの配列（{ tweetId, fullText, expandedUrl }）
+   */
+  parse_like_data(content) {
+    const start_match = /window\.YTD\.like\.part\d+\s*=\s*/.exec(content)
+    let json_str = start_match
+      ? content.substring(start_match.index + start_match[0].length).trim()
+      : content.trim()
+
+    if (json_str.endsWith(';')) {
+      json_str = json_str.slice(0, -1).trim()
+    }
+
+    let likes_data
+    try {
+      likes_data = JSON.parse(json_str)
+    } catch (error) {
+      throw new Error('いいねデータの形式が正しくありません。Twitterのアーカイブ内のlike.jsを使用してください。')
+    }
+
+    if (!Array.isArray(likes_data)) {
+      throw new Error('いいねデータが配列形式ではありません')
+    }
+
+    return likes_data
+      .map(item => item.like || item)
+      .filter(like => like && like.tweetId)
+  }
+
+  /**
+   * いいねデータを統一スキーマに変換
+   * @param {Object} raw_like - like.jsの1件（{ tweetId, fullText, expandedUrl }）
+   * @returns {Object} 統一スキーマのデータ
+   */
+  transform_to_unified_schema(raw_like) {
+    const tweet_id = String(raw_like.tweetId)
+    const created_at = this.get_date_from_tweet_id(tweet_id)
+
+    // expandedUrlにユーザー名が含まれる場合のみ投稿者として使用
+    const url_match = (raw_like.expandedUrl || '').match(/(?:twitter|x)\.com\/([A-Za-z0-9_]+)\/status\//)
+    const username = url_match && url_match[1] !== 'i' ? url_match[1] : 'unknown'
+
+    const post = new PostModel({
+      id: `twitter_like_${tweet_id}`,
+      original_id: tweet_id,
+      sns_type: 'twitter',
+      kind: 'like',
+      created_at: created_at || new Date().toISOString(),
+      content: security_validator.sanitize_content(raw_like.fullText || ''),
+      author: {
+        name: username,
+        username
+      },
+      sns_specific: {
+        expanded_url: raw_like.expandedUrl || null,
+        // 旧形式のIDから日時を復元できない場合はインポート日時で代用
+        is_date_estimated: !created_at
+      },
+      original_url: raw_like.expandedUrl || `https://twitter.com/i/web/status/${tweet_id}`
+    })
+
+    return post.to_db_object()
+  }
+
+  /**
+   * Snowflake形式のツイートIDから投稿日時を復元
+   * @param {string} tweet_id - ツイートID
+   * @returns {string|null} ISO形式の日時（Snowflake導入前のIDの場合null）
+   */
+  get_date_from_tweet_id(tweet_id) {
+    try {
+      const id = BigInt(tweet_id)
+      // Snowflake導入前（2010年11月以前）のIDは連番のため日時を持たない
+      if (id < 29700859247n) return null
+
+      const timestamp = (id >> 22n) + TWITTER_EPOCH
+      return new Date(Number(timestamp)).toISOString()
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * SNSの表示名を取得
+   * @returns {string} 表示名
+   */
+  get_sns_display_name() {
+    return 'Twitter（いいね）'
+  }
+
+  /**
+   * 有効なファイル拡張子を取得
+   * @returns {Array<string>} 拡張子の配列
+   */
+  get_valid_extensions() {
+    return ['js', 'zip']
+  }
+
+  /**
+   * インポート手順を取得
+   * @returns {Object} インポート手順情報
+   */
+  get_import_instructions() {
+    return {
+      steps: [
+        'Twitterの設定から「アカウント情報をダウンロード」を選択',
+        'ダウンロード完了通知が来たらZipファイルをダウンロード',
+        'ダウンロードしたZipファイル（またはdata/like.js）を選択してインポート'
+      ],
+      file_info: {
+        format: 'twitter-*.zip, like.js',
+        location: 'twitter-*.zip または data/like.js',
+        description: 'Twitterからエクスポートしたアーカイブ内のいいねデータファイル'
+      },
+      notes: [
+        'いいねしたポストは自分のポストとは別の「いいね」として保存されます',
+        'いいねデータには投稿者情報が含まれないため、投稿者が不明と表示される場合があります'
+      ]
+    }
+  }
+}
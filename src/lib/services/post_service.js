@@ -63,13 +63,15 @@ export class PostService {
       page = 1,
       per_page = 20,
       filter = {},
-      sort = 'created_desc'  // ソートパラメータを追加
+      sort = 'created_desc',  // ソートパラメータを追加
+      strict = false  // 厳密一致（表記ゆれを吸収しない）
     } = options
 
     // 検索サービスを使用
     const search_results = await search_service.search(query, {
       filter,
       sort,  // ソートパラメータを渡す
+      strict,
       limit: per_page,
       offset: (page - 1) * per_page
     })
@@ -84,17 +86,35 @@ export class PostService {
 
     return {
       posts: search_results.results.map(r => r.post),
+      // ポストIDごとの一致箇所（強調表示用）
+      matches: Object.fromEntries(search_results.results.map(r => [r.post.id, r.matches])),
       pagination: {
         current_page: page,
         per_page,
         total_count: search_results.total,
+        // 検索結果の件数は表示範囲の先まで照合していない場合は見積もり
+        is_total_estimate: !!search_results.total_is_estimate,
         total_pages,
-        has_next: page < total_pages,
+        has_next: search_results.has_more,
         has_prev: page > 1
       }
     }
   }
 
+  /**
+   * ポストが属する返信スレッドの全ポストを取得
+   * @param {Object} post - ポスト
+   * @returns {Promise<Array<Object>>} スレッドのポストの配列（古い順、スレッドでない場合は空配列）
+   */
+  async get_thread_posts(post) {
+    const thread_root_id = post?.sns_specific?.thread_root_id
+    if (!thread_root_id) {
+      return []
+    }
+
+    return await post_repository.get_thread_posts(post.sns_type, thread_root_id)
+  }
+
   /**
    * SNS別のポスト統計を取得
    * @returns {Promise<Object>} 統計情報
@@ -103,10 +123,10 @@ export class PostService {
     try {
       const by_sns = {}
 
-      // SNS別の統計
-      const sns_types = ['twitter', 'bluesky', 'mastodon']
+      // SNS別の統計（いいねは自分のポストに含めない）
+      const sns_types = ['twitter', 'bluesky', 'mastodon', 'misskey', 'threads', 'nostr']
       for (const sns_type of sns_types) {
-        by_sns[sns_type] = await post_repository.get_post_count({ sns_type })
+        by_sns[sns_type] = await post_repository.get_post_count({ sns_type, kind: 'post' })
       }
 
       return { by_sns }
@@ -116,7 +136,10 @@ export class PostService {
       return {
         twitter: 0,
         bluesky: 0,
-        mastodon: 0
+        mastodon: 0,
+        misskey: 0,
+        threads: 0,
+        nostr: 0
       }
     }
   }
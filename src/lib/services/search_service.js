@@ -1,4 +1,8 @@
 import { post_repository } from '../repositories/post_repository.js'
+import { keep_repository } from '../repositories/keep_repository.js'
+import { search_tokenizer } from '../utils/search_tokenizer.js'
+import { search_query_parser } from '../utils/search_query_parser.js'
+import { REPLY_KEYS } from '../models/post.js'
 
 /**
  * 検索サービス
@@ -6,63 +10,14 @@ import { post_repository } from '../repositories/post_repository.js'
  */
 export class SearchService {
   constructor() {
-    this.cached_posts = null
-    this.cache_timestamp = null
-    this.CACHE_DURATION = 5 * 60 * 1000  // 5分間キャッシュ
-  }
-
-  /**
-   * 検索インデックスを初期化
-   * @returns {Promise<void>}
-   */
-  async initialize_search_index() {
-    try {
-      // キャッシュが有効か確認
-      if (this.is_cache_valid()) {
-        return
-      }
-
-      // すべてのポストを取得
-
-      const posts = await post_repository.get_posts({ limit: 999999 })
-
-      if (!posts || posts.length === 0) {
-
-        this.cached_posts = []
-        this.cache_timestamp = Date.now()
-        return
-      }
-      
-      // デバッグ: 最初のポストの構造を確認
-      if (posts.length > 0) {
-        // デバッグ: 最初のポストの構造を確認
-      }
-      
-      // 検索用のデータをキャッシュ
-      this.cached_posts = posts
-      this.cache_timestamp = Date.now()
-
-    } catch (error) {
-
-      throw new Error('検索機能の初期化に失敗しました')
-    }
-  }
-
-  /**
-   * キャッシュが有効かチェック
-   * @returns {boolean} 有効な場合true
-   */
-  is_cache_valid() {
-    if (!this.cached_posts || !this.cache_timestamp) {
-      return false
-    }
-
-    const now = Date.now()
-    return (now - this.cache_timestamp) < this.CACHE_DURATION
+    // 本文の照合時に一度に読み込むポスト数
+    this.VERIFY_BATCH_SIZE = 200
   }
 
   /**
    * 検索を実行
+   * クエリの演算子（sns: since: until: has: is: from: #タグ @ユーザー "フレーズ" OR -除外）を解釈し、
+   * 2-gram索引で候補を絞り込んでから、候補のポストだけを分割して読み込んで照合する
    * @param {string} query - 検索クエリ
    * @param {SearchOptions} options - 検索オプション
    * @returns {Promise<SearchResult>} 検索結果
@@ -82,87 +37,81 @@ export class SearchService {
 
       const start_time = Date.now()
 
-      // 検索インデックスを初期化
-      await this.initialize_search_index()
-      
-      // 初期化後の確認
-      if (!this.cached_posts || this.cached_posts.length === 0) {
-
-        return {
-          results: [],
-          query: query,
-          total: 0,
-          search_time: 0
-        }
-      }
-
       // 検索オプション
       const { 
         limit = 50,
         offset = 0,
         filter = {},  // filtersからfilterに変更（統一性のため）
-        sort = 'desc'  // ソート順を追加
+        sort = 'desc',  // ソート順を追加
+        strict = false  // trueの場合はかな・全角半角・大文字小文字を区別する
       } = options
 
-      // 検索を実行
-
-      const queryLower = query.toLowerCase()
-      const searchResults = this.cached_posts.filter(post => {
-        // contentのみを検索対象にする
-        const content = (post.content || '').toLowerCase()
-        return content.includes(queryLower)
-      })
-
-      // スコアリングと結果のフォーマット
-      let results = searchResults.map(post => {
-        const content = (post.content || '').toLowerCase()
-        const exactMatch = content === queryLower
-        const startsWithMatch = content.startsWith(queryLower)
-        
-        // スコアを計算（完全一致 > 先頭一致 > 部分一致）
-        let score = 1.0
-        if (exactMatch) {
-          score = 0.0
-        } else if (startsWithMatch) {
-          score = 0.3
-        } else {
-          score = 0.5
-        }
-        
+      // 演算子を解釈し、クエリで指定された条件はタブなどのfilterとは別に適用する（両方を満たすポストが該当）
+      const parsed = search_query_parser.parse(query)
+      if (parsed.errors.length > 0) {
         return {
-          item: post,
-          score: score
+          results: [],
+          query: query,
+          total: 0,
+          search_time: 0,
+          has_more: false,
+          errors: parsed.errors
         }
-      })
-      
-      // スコア順にソート
-      results.sort((a, b) => a.score - b.score)
-      
-      // デバッグ: 最初の数件の結果を確認
-      if (results.length > 0) {
-        // デバッグ: 最初の数件の結果を確認
       }
 
-      // フィルター適用
-      if (filter && Object.keys(filter).length > 0) {
+      const query_filter = parsed.filter
+      const candidates = await post_repository.open_search_candidates(
+        parsed.groups.map(group => group.map(term => search_tokenizer.create_query_grams(this.get_term_text(term), { strict }))),
+        {
+          post_ids: filter.post_ids || null,
+          start_date: query_filter.start_date || null,
+          end_date: query_filter.end_date || null,
+          order: this.get_sort_order(sort)
+        }
+      )
 
+      // 候補を投稿日時順に照合し、表示範囲の次の1件が見つかった時点で止める（次のページの有無の判定用）
+      const page_results = []
+      let hit_count = 0
+      let verified_count = 0
 
-        results = this.apply_filters(results, filter)
+      while (hit_count <= offset + limit && !candidates.done) {
+        const batch_ids = await candidates.next(this.VERIFY_BATCH_SIZE)
+        if (batch_ids.length === 0) break
 
-      }
+        const posts = await post_repository.get_posts_by_ids(batch_ids)
+        const kept_post_ids = await keep_repository.get_kept_post_ids(batch_ids)
+        verified_count += batch_ids.length
 
-      // ソート適用（日付順）
+        let results = posts
+          .map(post => ({ ...post, is_kept: kept_post_ids.has(post.id) }))
+          .filter(post => this.matches_query(post, parsed, strict))
+          .map(post => ({ item: post, score: this.calculate_score(post, parsed, strict) }))
+
+        if (filter && Object.keys(filter).length > 0) {
+          results = this.apply_filters(results, filter)
+        }
+        results = this.apply_filters(results, query_filter)
 
-      results = this.apply_sort(results, sort)
+        for (const result of results) {
+          if (hit_count >= offset && hit_count < offset + limit) {
+            page_results.push(result)
+          }
+          hit_count++
+        }
+      }
 
-      // ページネーション
-      const paginated_results = results.slice(offset, offset + limit)
+      // 最後まで照合した場合は該当件数、途中で止めた場合は照合済みの候補の該当率から見積もった件数
+      const total_is_estimate = !candidates.done
+      const total = total_is_estimate
+        ? Math.max(hit_count, Math.round(hit_count / verified_count * candidates.estimated_count))
+        : hit_count
 
       // 検索結果を整形
-      const formatted_results = paginated_results.map(result => ({
+      const formatted_results = page_results.map(result => ({
         post: result.item,
         score: result.score,
-        matches: []  // 空配列
+        matches: this.find_matches(result.item, parsed, strict)
       }))
 
       const search_time = Date.now() - start_time
@@ -170,9 +119,10 @@ export class SearchService {
       return {
         results: formatted_results,
         query: query,
-        total: results.length,
+        total: total,
+        total_is_estimate: total_is_estimate,
         search_time: search_time,
-        has_more: (offset + limit) < results.length
+        has_more: hit_count > offset + limit
       }
 
     } catch (error) {
@@ -181,6 +131,113 @@ export class SearchService {
     }
   }
 
+  /**
+   * ポストが検索語の条件を満たすか
+   * @param {Post} post - ポスト
+   * @param {Object} parsed - search_query_parserの解析結果
+   * @param {boolean} strict - trueの場合は正規化せずに照合する
+   * @returns {boolean} 該当する場合true
+   */
+  matches_query(post, parsed, strict = false) {
+    const content = search_tokenizer.normalize(post.content, { strict })
+    return parsed.groups.every(group => group.some(term => this.matches_term(post, content, term, strict)))
+      && !parsed.excludes.some(term => this.matches_term(post, content, term, strict))
+  }
+
+  /**
+   * ポストが検索語に一致するか
+   * ハッシュタグ・メンションは本文に加え、ポストのhashtags・mentionsとも照合する
+   * @param {Post} post - ポスト
+   * @param {string} content - 正規化した本文
+   * @param {Object} term - 検索語 { type, value }
+   * @param {boolean} strict - trueの場合は正規化せずに照合する
+   * @returns {boolean} 一致する場合true
+   */
+  matches_term(post, content, term, strict = false) {
+    if (content.includes(search_tokenizer.normalize(this.get_term_text(term), { strict }))) {
+      return true
+    }
+
+    const value = search_tokenizer.normalize(term.value, { strict })
+    if (term.type === 'hashtag') {
+      return (post.hashtags || []).some(tag => search_tokenizer.normalize(String(tag), { strict }) === value)
+    }
+    if (term.type === 'mention') {
+      return (post.mentions || []).some(mention => {
+        const username = typeof mention === 'string' ? mention : (mention.screen_name || mention.username || '')
+        return search_tokenizer.normalize(username.replace(/^@/, ''), { strict }) === value
+      })
+    }
+    return false
+  }
+
+  /**
+   * 強調表示する一致箇所を取得
+   * 本文の位置は正規化前の本文上の位置（UTF-16）で返す。from:で一致した投稿者はfield: 'author'で返す
+   * @param {Post} post - ポスト
+   * @param {Object} parsed - search_query_parserの解析結果
+   * @param {boolean} strict - trueの場合は正規化せずに照合する
+   * @returns {Array<Object>} { field: 'content'|'author', start, end }（位置順）
+   */
+  find_matches(post, parsed, strict = false) {
+    const content = post.content || ''
+    const normalized = strict
+      ? { text: content, offsets: null }
+      : search_tokenizer.normalize_with_offsets(content)
+    const matches = []
+
+    for (const term of parsed.groups.flat()) {
+      const term_text = search_tokenizer.normalize(this.get_term_text(term), { strict })
+      if (!term_text) continue
+
+      let index = normalized.text.indexOf(term_text)
+      while (index !== -1) {
+        const end = index + term_text.length
+        matches.push(normalized.offsets
+          ? { field: 'content', start: normalized.offsets[index][0], end: normalized.offsets[end - 1][1] }
+          : { field: 'content', start: index, end })
+        index = normalized.text.indexOf(term_text, end)
+      }
+    }
+
+    matches.sort((a, b) => a.start - b.start)
+
+    if (parsed.filter.author) {
+      matches.push({ field: 'author', start: 0, end: (post.author?.username || '').length })
+    }
+
+    return matches
+  }
+
+  /**
+   * 検索語を本文中の表記に変換（#タグ・@ユーザーは記号を含める）
+   * @param {Object} term - 検索語 { type, value }
+   * @returns {string} 本文中の表記
+   */
+  get_term_text(term) {
+    if (term.type === 'hashtag') return `#${term.value}`
+    if (term.type === 'mention') return `@${term.value}`
+    return term.value
+  }
+
+  /**
+   * 一致の度合いを計算（完全一致 > 先頭一致 > 部分一致、小さいほど良い）
+   * 最初の検索語で判定する
+   * @param {Post} post - ポスト
+   * @param {Object} parsed - search_query_parserの解析結果
+   * @param {boolean} strict - trueの場合は正規化せずに照合する
+   * @returns {number} スコア
+   */
+  calculate_score(post, parsed, strict = false) {
+    if (parsed.groups.length === 0) return 0.5
+
+    const query_text = search_tokenizer.normalize(this.get_term_text(parsed.groups[0][0]), { strict })
+    const content = search_tokenizer.normalize(post.content, { strict })
+    if (content === query_text) return 0.0
+    if (content.startsWith(query_text)) return 0.3
+    return 0.5
+  }
+
   /**
    * 高度な検索を実行
    * @param {AdvancedSearchQuery} advanced_query - 高度な検索クエリ
@@ -188,17 +245,13 @@ export class SearchService {
    */
   async advanced_search(advanced_query) {
     try {
-      await this.initialize_search_index()
-
-      let results = this.cached_posts
-
-      // テキスト検索
+      // テキスト検索（索引で絞り込めない場合のみ全件を対象にする）
+      let results
       if (advanced_query.text) {
-        const queryLower = advanced_query.text.toLowerCase()
-        results = results.filter(post => {
-          const content = (post.content || '').toLowerCase()
-          return content.includes(queryLower)
-        })
+        const search_result = await this.search(advanced_query.text, { limit: Number.MAX_SAFE_INTEGER })
+        results = search_result.results.map(result => result.post)
+      } else {
+        results = await post_repository.get_posts({ limit: Number.MAX_SAFE_INTEGER })
       }
 
       // 日付範囲フィルター
@@ -295,6 +348,11 @@ export class SearchService {
         return false
       }
 
+      // 種別フィルター（種別導入前のデータは自分のポストとして扱う）
+      if (filters.kind && (post.kind || 'post') !== filters.kind) {
+        return false
+      }
+
       // KEEPフィルター
       if (filters.is_kept !== undefined && filters.is_kept !== null) {
         if (post.is_kept !== filters.is_kept) {
@@ -307,6 +365,30 @@ export class SearchService {
         return false
       }
 
+      // 投稿日時の範囲フィルター（ISO形式）
+      if (filters.start_date && new Date(post.created_at) < new Date(filters.start_date)) {
+        return false
+      }
+      if (filters.end_date && new Date(post.created_at) > new Date(filters.end_date)) {
+        return false
+      }
+
+      // リポスト・返信フィルター
+      if (filters.is_repost !== undefined && filters.is_repost !== null && !!post.is_repost !== filters.is_repost) {
+        return false
+      }
+      if (filters.is_reply !== undefined && filters.is_reply !== null) {
+        const is_reply = REPLY_KEYS.some(key => post.sns_specific?.[key])
+        if (filters.is_reply !== is_reply) {
+          return false
+        }
+      }
+
+      // 投稿者フィルター（ユーザー名、大文字小文字を区別しない）
+      if (filters.author && (post.author?.username || '').replace(/^@/, '').toLowerCase() !== filters.author) {
+        return false
+      }
+
       // 年月フィルター
       if (filters.year_month && filters.year_month !== null && post.year_month !== filters.year_month) {
         return false
@@ -333,39 +415,12 @@ export class SearchService {
   }
 
   /**
-   * 検索結果にソートを適用
-   * @param {Array} results - 検索結果
-   * @param {string} sort - ソート順 ('asc' または 'desc')
-   * @returns {Array} ソート済み結果
+   * ソート指定から投稿日時の並び順を取得
+   * @param {string} sort - ソート順（'asc' / 'desc' / 'created_asc' など）
+   * @returns {string} 'asc' または 'desc'
    */
-  apply_sort(results, sort) {
-    if (!results || results.length === 0) {
-      return results
-    }
-
-    // sortパラメータを適切な形式に変換
-    let sort_by = 'date_desc'
-    if (sort === 'created_desc' || sort === 'kept_desc') {
-      sort_by = 'date_desc'
-    } else if (sort === 'created_asc' || sort === 'kept_asc') {
-      sort_by = 'date_asc'
-    } else if (sort === 'asc') {
-      sort_by = 'date_asc'
-    } else if (sort === 'desc') {
-      sort_by = 'date_desc'
-    }
-    
-    // 結果からポストを抽出
-    const posts = results.map(r => r.item)
-    
-    // ソート実行
-    const sorted_posts = this.sort_results(posts, sort_by)
-    
-    // 元の結果構造を維持しながらソート
-    return sorted_posts.map(post => {
-      const original_result = results.find(r => r.item.id === post.id)
-      return original_result || { item: post, score: 0 }
-    })
+  get_sort_order(sort) {
+    return sort === 'asc' || sort === 'created_asc' || sort === 'kept_asc' ? 'asc' : 'desc'
   }
 
   /**
@@ -406,13 +461,11 @@ export class SearchService {
         return []
       }
 
-      await this.initialize_search_index()
-
       const queryLower = query.toLowerCase()
       const suggestions = new Set()
 
-      // cached_postsから候補を抽出（最大100件チェック）
-      const posts_to_check = this.cached_posts.slice(0, 100)
+      // 新しいポストから候補を抽出（最大100件チェック）
+      const posts_to_check = await post_repository.get_posts({ limit: 100 })
       
       posts_to_check.forEach(post => {
         // ハッシュタグから候補を追加
@@ -443,15 +496,6 @@ export class SearchService {
       return []
     }
   }
-
-  /**
-   * キャッシュをクリア
-   */
-  clear_cache() {
-    this.cached_posts = null
-    this.cache_timestamp = null
-
-  }
 }
 
 // シングルトンインスタンスをエクスポート
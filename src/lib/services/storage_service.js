@@ -1,6 +1,8 @@
 import { post_repository } from '../repositories/post_repository.js'
 import { keep_repository } from '../repositories/keep_repository.js'
-import { import_service } from './import_service.js'
+import { import_worker_service } from './import_worker_service.js'
+import { import_job_service } from './import_job_service.js'
+import { account_relation_repository } from '../repositories/account_relation_repository.js'
 import { memory_monitor } from '../utils/memory_monitor.js'
 
 /**
@@ -73,59 +75,136 @@ export class StorageService {
     }
   }
 
+  /**
+   * インポーターに渡すオプションを作成（未入力の項目は含めない）
+   * @param {Object} accounts - { twilog_username, twitter_username, mastodon_account, bluesky_account, page_files, misskey_account, threads_username, update_existing }
+   * @returns {Object} インポートオプション
+   */
+  create_import_options(accounts) {
+    const options = {}
+    for (const [key, value] of Object.entries(accounts)) {
+      if (Array.isArray(value) ? value.length > 0 : value) {
+        options[key] = value
+      }
+    }
+    return options
+  }
+
+  /**
+   * 保存せずにインポート内容をプレビュー
+   * @param {string} sns_type - SNS種別
+   * @param {File} file - インポートファイル
+   * @param {Object} options - オプション（resume_jobを除き、import_and_saveと同じ項目）
+   * @returns {Promise<ImportResult>} プレビュー結果（previewに概要）
+   */
+  async preview_import(sns_type, file, options = {}) {
+    const { progress_callback = null, ...accounts } = options
+    const import_options = {
+      ...this.create_import_options(accounts),
+      progress_callback,
+      preview: true
+    }
+
+    const result = await import_worker_service.import_sns_data(sns_type, file, import_options)
+
+    if (!result.success) {
+      throw new Error(result.message || 'プレビューに失敗しました')
+    }
+
+    return result
+  }
+
   /**
    * インポートから保存までの一連の処理
    * @param {string} sns_type - SNS種別
    * @param {File} file - インポートファイル
-   * @param {Function} progress_callback - 進捗コールバック
-   * @param {string} twilog_username - Twilogインポート時のユーザー名
+   * @param {Object} options - オプション（未入力の項目は省略できる）
+   * @param {Function} [options.progress_callback] - 進捗コールバック
+   * @param {string} [options.twilog_username] - Twilogインポート時のユーザー名
+   * @param {string} [options.twitter_username] - Twitterインポート時のユーザー名（アーカイブの場合はaccount.jsから取得）
+   * @param {string} [options.mastodon_account] - Mastodonインポート時のユーザー名@サーバー名（アーカイブの場合はactor.jsonから取得）
+   * @param {string} [options.bluesky_account] - Blueskyインポート時のハンドル
+   * @param {Array<File>} [options.page_files] - ページ分割されたMastodonのoutboxの2ページ目以降
+   * @param {string} [options.misskey_account] - Misskeyインポート時のユーザー名@サーバー名
+   * @param {string} [options.threads_username] - Threadsインポート時のユーザー名
+   * @param {boolean} [options.update_existing] - 保存済みのポストのいいね数・本文などを更新するか
+   * @param {Object|null} [options.resume_job] - 続きから再開する前回のインポートジョブ
    * @returns {Promise<ImportResult>} インポート結果
    */
-  async import_and_save(sns_type, file, progress_callback = null, twilog_username = null, twitter_username = null, mastodon_account = null, bluesky_account = null) {
+  async import_and_save(sns_type, file, options = {}) {
+    const { progress_callback = null, resume_job = null, ...accounts } = options
+    // 再開時は前回と同じインポートIDを使い、取り消し時にまとめて削除できるようにする
+    const import_id = resume_job?.import_id || this.generate_import_id()
+
     try {
       // マルチSNSインポート
-      const options = { progress_callback }
-      if (twilog_username) {
-        options.twilog_username = twilog_username
-      }
-      if (twitter_username) {
-        options.twitter_username = twitter_username
-      }
-      if (mastodon_account) {
-        options.mastodon_account = mastodon_account
+      const import_options = {
+        ...this.create_import_options(accounts),
+        progress_callback,
+        import_id
       }
-      if (bluesky_account) {
-        options.bluesky_account = bluesky_account
+
+      // インポートジョブを記録し、中断されても同じファイルで再開できるようにする
+      // バックアップの復元は全件を置き換えるため対象外
+      if (sns_type !== 'backup') {
+        // 再開時は前回と同じオプションで変換し、バッチの区切りを揃える
+        if (resume_job) {
+          Object.assign(import_options, resume_job.options)
+        }
+
+        // 関数やファイルは保存できないため、ユーザー名などの文字列とフラグのみ記録する
+        const job_options = {}
+        for (const [key, value] of Object.entries(import_options)) {
+          if ((typeof value === 'string' || typeof value === 'boolean') && key !== 'import_id') {
+            job_options[key] = value
+          }
+        }
+
+        import_options.import_job = await import_job_service.start_job({
+          import_id,
+          fingerprint: await import_job_service.compute_fingerprint(file),
+          file_name: file.name,
+          file_size: file.size,
+          sns_type,
+          options: job_options
+        }, resume_job)
       }
-      const import_result = await import_service.import_sns_data(sns_type, file, options)
+
+      // 解析・変換はWeb Workerで行い、メインスレッドをブロックしない
+      const import_result = await import_worker_service.import_sns_data(sns_type, file, import_options)
 
       if (!import_result.success) {
         throw new Error(import_result.message || 'インポートに失敗しました')
       }
 
-      // ポストを保存（新規ポストがある場合のみ）
-      if (import_result.posts && import_result.posts.length > 0) {
-        await this.save_posts(import_result.posts, sns_type, progress_callback)
-      } else {
-        // 全件重複の場合は保存をスキップ
+      // フォロー・ブロックなどのアカウント一覧は、ポストの保存が完了してから置き換える
+      if (import_result.relations) {
+        await account_relation_repository.replace_relations(sns_type, import_result.relations, import_id)
+      }
 
-        if (progress_callback) {
-          progress_callback({
-            step: 'completed',
-            progress: 100,
-            message: `既存のポストとの重複のため新規保存はありませんでした`
-          })
-        }
+      // 新規ポストはインポート中にバッチごとに保存済み
+      if (progress_callback) {
+        progress_callback({
+          step: 'completed',
+          progress: 100,
+          message: import_result.post_count > 0 || import_result.committed
+            ? 'ポストの保存が完了しました'
+            : '既存のポストとの重複のため新規保存はありませんでした'
+        })
       }
 
+      await import_job_service.clear_job()
+
       // ストレージ情報を取得
       const storage_info = await this.get_storage_info()
 
       // インポート履歴を保存
       await this.save_import_history({
+        import_id: import_id,
         sns_type: sns_type,
         file_name: file.name,
         post_count: import_result.post_count,
+        updated_count: import_result.updated_count || 0,
         file_size: file.size,
         success: true
       })
@@ -137,8 +216,14 @@ export class StorageService {
 
     } catch (error) {
 
+      // 中止した場合は再開できるようジョブを残し、エラーの場合は破棄する
+      if (!error.cancelled) {
+        await import_job_service.clear_job()
+      }
+
       // 失敗履歴も保存
       await this.save_import_history({
+        import_id: import_id,
         sns_type: sns_type,
         file_name: file.name,
         post_count: 0,
@@ -218,6 +303,45 @@ export class StorageService {
     }
   }
 
+  /**
+   * Misskey投稿データのみを削除
+   */
+  async clear_misskey_posts() {
+    try {
+      await post_repository.clear_posts_by_sns('misskey')
+
+    } catch (error) {
+
+      throw new Error('Misskey投稿データの削除に失敗しました')
+    }
+  }
+
+  /**
+   * Threads投稿データのみを削除
+   */
+  async clear_threads_posts() {
+    try {
+      await post_repository.clear_posts_by_sns('threads')
+
+    } catch (error) {
+
+      throw new Error('Threads投稿データの削除に失敗しました')
+    }
+  }
+
+  /**
+   * Nostr投稿データのみを削除
+   */
+  async clear_nostr_posts() {
+    try {
+      await post_repository.clear_posts_by_sns('nostr')
+
+    } catch (error) {
+
+      throw new Error('Nostr投稿データの削除に失敗しました')
+    }
+  }
+
   /**
    * ストレージ情報を取得
    * @returns {Promise<StorageInfo>} ストレージ情報
@@ -278,12 +402,19 @@ export class StorageService {
       // 既存の履歴を取得
       let histories = await post_repository.get_setting('import_histories') || []
       
-      // 新しい履歴を追加（最新10件のみ保持）
+      // 新しい履歴を追加（最新10件と、それより古くても取り消せるポストが残っている履歴を保持）
       histories.unshift({
         ...history,
         imported_at: new Date().toISOString()
       })
-      histories = histories.slice(0, 10)
+
+      const kept_histories = []
+      for (const [index, entry] of histories.entries()) {
+        if (index < 10 || (entry.import_id && !entry.undone_at && await post_repository.has_posts_by_import_id(entry.import_id))) {
+          kept_histories.push(entry)
+        }
+      }
+      histories = kept_histories
       
       // 保存
       await post_repository.save_setting('import_histories', histories)
@@ -294,6 +425,39 @@ export class StorageService {
     }
   }
 
+  /**
+   * インポートIDを生成
+   * @returns {string} インポートID
+   */
+  generate_import_id() {
+    return `import_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+  }
+
+  /**
+   * インポートを取り消す
+   * そのインポートで保存したポストと、それらに付いたKEEP・ローカルメディア、取り込んだフォロー・ブロックを削除する
+   * @param {string} import_id - インポートID
+   * @returns {Promise<Object>} { post_count: 削除したポスト数, keep_count: 削除したKEEP数, relation_count: 削除したフォロー・ブロック数 }
+   */
+  async undo_import(import_id) {
+    const result = await post_repository.delete_posts_by_import_id(import_id)
+
+    // 途中で終了したインポートを取り消した場合は再開できないようにする
+    const pending_job = await import_job_service.get_pending_job()
+    if (pending_job?.import_id === import_id) {
+      await import_job_service.clear_job()
+    }
+
+    // 履歴に取り消し済みであることを記録
+    const histories = await this.get_import_history()
+    const undone_at = new Date().toISOString()
+    await post_repository.save_setting('import_histories', histories.map(history =>
+      history.import_id === import_id ? { ...history, undone_at } : history
+    ))
+
+    return result
+  }
+
   /**
    * インポート履歴を取得
    * @returns {Promise<ImportHistory[]>} インポート履歴
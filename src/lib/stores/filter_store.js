@@ -353,7 +353,10 @@ function get_sns_display_name(sns_type) {
   const sns_names = {
     twitter: 'Twitter',
     bluesky: 'Bluesky',
-    mastodon: 'Mastodon'
+    mastodon: 'Mastodon',
+    misskey: 'Misskey',
+    threads: 'Threads',
+    nostr: 'Nostr'
   }
   return sns_names[sns_type] || sns_type
 }
@@ -362,7 +365,10 @@ function get_sns_icon(sns_type) {
   const sns_icons = {
     twitter: '🐦',
     bluesky: '☁️',
-    mastodon: '🐘'
+    mastodon: '🐘',
+    misskey: '🍀',
+    threads: '🧵',
+    nostr: '🟣'
   }
   return sns_icons[sns_type] || '📱'
 }
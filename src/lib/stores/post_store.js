@@ -17,20 +17,23 @@ function create_post_store() {
       has_prev: false
     },
     filter: {
-      sns_type: null,      // null | 'twitter' | 'bluesky' | 'mastodon'
+      sns_type: null,      // null | 'twitter' | 'bluesky' | 'mastodon' | 'misskey' | 'threads' | 'nostr'
       is_kept: null,       // null | true | false
       year_month: null,
       start_date: null,
       end_date: null,
       language: null,
       has_media: null,
-      has_links: null
+      has_links: null,
+      kind: null           // null | 'post' | 'like' | 'bookmark'
     },
     sort: 'created_desc',  // created_desc | created_asc | kept_desc | kept_asc
     search_query: '',
+    search_strict: false,  // 厳密一致で検索するか
+    search_matches: {},    // 検索結果のポストIDごとの一致箇所
     is_loading: false,
     error: null,
-    active_tab: 'all'     // 'all' | 'twitter' | 'bluesky' | 'mastodon' | 'keep'
+    active_tab: 'all'     // 'all' | 'twitter' | 'bluesky' | 'mastodon' | 'misskey' | 'threads' | 'nostr' | 'keep'
   })
 
   function get() {
@@ -80,6 +83,7 @@ function create_post_store() {
         update(state => ({
           ...state,
           posts: response.posts,
+          search_matches: response.matches || {},
           pagination: response.pagination,
           is_loading: false,
           active_tab: active_tab  // active_tabも更新
@@ -116,12 +120,15 @@ function create_post_store() {
     /**
      * ポストを検索
      * @param {string} query - 検索クエリ
+     * @param {string|null} tab_id - タブID
+     * @param {boolean|null} strict - 厳密一致で検索するか（nullの場合は前回の指定を使う）
      */
-    async search_posts(query, tab_id = null) {
+    async search_posts(query, tab_id = null, strict = null) {
 
       update(state => ({
         ...state,
         search_query: query,
+        search_strict: strict === null ? state.search_strict : strict,
         is_loading: true,
         error: null
       }))
@@ -144,12 +151,14 @@ function create_post_store() {
           page: 1,
           per_page: 20,
           filter,
-          sort: current_state.sort  // ソート条件を追加
+          sort: current_state.sort,  // ソート条件を追加
+          strict: current_state.search_strict
         })
 
         update(state => ({
           ...state,
           posts: response.posts,
+          search_matches: response.matches || {},
           pagination: response.pagination,
           is_loading: false,
           active_tab: active_tab  // active_tabも更新
@@ -189,7 +198,8 @@ function create_post_store() {
           end_date: null,
           language: null,
           has_media: null,
-          has_links: null
+          has_links: null,
+          kind: null
         },
         search_query: ''
       }))
@@ -259,10 +269,13 @@ function create_post_store() {
           end_date: null,
           language: null,
           has_media: null,
-          has_links: null
+          has_links: null,
+          kind: null
         },
         sort: 'created_desc',  // created_desc | created_asc | kept_desc | kept_asc
         search_query: '',
+        search_strict: false,
+        search_matches: {},
         is_loading: false,
         error: null,
         active_tab: 'all'
@@ -312,6 +325,9 @@ export const current_tab_name = derived(
       twitter: 'Twitter',
       bluesky: 'Bluesky',
       mastodon: 'Mastodon',
+      misskey: 'Misskey',
+      threads: 'Threads',
+      nostr: 'Nostr',
       keep: 'KEEP'
     }
     return tab_names[$post_store.active_tab] || $post_store.active_tab
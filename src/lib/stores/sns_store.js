@@ -11,7 +11,10 @@ function create_sns_store() {
     sns_stats: {
       twitter: { count: 0, latest_post: null, username: null },
       bluesky: { count: 0, latest_post: null, username: null },
-      mastodon: { count: 0, latest_post: null, username: null }
+      mastodon: { count: 0, latest_post: null, username: null },
+      misskey: { count: 0, latest_post: null, username: null },
+      threads: { count: 0, latest_post: null, username: null },
+      nostr: { count: 0, latest_post: null, username: null }
     },
     accounts: [],
     is_loading: false,
@@ -27,7 +30,10 @@ function create_sns_store() {
     const display_names = {
       twitter: 'Twitter',
       bluesky: 'Bluesky',
-      mastodon: 'Mastodon'
+      mastodon: 'Mastodon',
+      misskey: 'Misskey',
+      threads: 'Threads',
+      nostr: 'Nostr'
     }
     return display_names[sns_type] || sns_type
   }
@@ -41,7 +47,10 @@ function create_sns_store() {
     const icons = {
       twitter: 'T',
       bluesky: 'B',
-      mastodon: 'M'
+      mastodon: 'M',
+      misskey: 'Mi',
+      threads: 'Th',
+      nostr: 'N'
     }
     return icons[sns_type] || '?'
   }
@@ -197,7 +206,10 @@ function create_sns_store() {
         sns_stats: {
           twitter: { count: 0, latest_post: null, username: null },
           bluesky: { count: 0, latest_post: null, username: null },
-          mastodon: { count: 0, latest_post: null, username: null }
+          mastodon: { count: 0, latest_post: null, username: null },
+          misskey: { count: 0, latest_post: null, username: null },
+          threads: { count: 0, latest_post: null, username: null },
+          nostr: { count: 0, latest_post: null, username: null }
         },
         accounts: [],
         is_loading: false,
@@ -27,7 +27,7 @@ function create_ui_store() {
     auto_detect_sns: true,
     
     // タブ状態
-    active_tab: 'all', // 'all' | 'keep' | 'twitter' | 'bluesky' | 'mastodon'
+    active_tab: 'all', // 'all' | 'keep' | 'twitter' | 'bluesky' | 'mastodon' | 'misskey' | 'threads' | 'nostr'
     
     // 通知
     notifications: [],
@@ -7,6 +7,30 @@ import { memory_monitor } from './memory_monitor.js'
 export class FileProcessor {
   constructor() {
     this.TWEETS_FILE_MAX_SIZE = 500 * 1024 * 1024  // 500MB
+
+    // アーカイブ内メディアの拡張子とMIMEタイプの対応
+    this.MEDIA_MIME_TYPES = {
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      png: 'image/png',
+      gif: 'image/gif',
+      webp: 'image/webp',
+      mp4: 'video/mp4',
+      mov: 'video/quicktime',
+      webm: 'video/webm',
+      m4a: 'audio/mp4',
+      mp3: 'audio/mpeg'
+    }
+  }
+
+  /**
+   * ファイル名からMIMEタイプを取得
+   * @param {string} file_name - ファイル名
+   * @returns {string} MIMEタイプ（不明な場合はapplication/octet-stream）
+   */
+  get_mime_type(file_name) {
+    const extension = (file_name || '').split('.').pop().toLowerCase()
+    return this.MEDIA_MIME_TYPES[extension] || 'application/octet-stream'
   }
 
   /**
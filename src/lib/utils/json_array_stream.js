@@ -0,0 +1,147 @@
+// 配列の開始位置が見つかるまでに許容する前置き部分の最大長
+const MAX_PREFIX_LENGTH = 1024
+
+/**
+ * JSON配列ストリームリーダー
+ * File.stream()をチャンクごとに読み、トップレベル配列の要素を1件ずつ解析して返す
+ * ファイル全体を1つの文字列として保持しないため、数百MBのtweets.jsでもメモリを圧迫しない
+ */
+export class JsonArrayStream {
+  /**
+   * コンストラクタ
+   * @param {File|Blob} file - 読み込むファイル
+   * @param {Object} options - オプション
+   * @param {RegExp} options.prefix_pattern - 配列の前に許容する前置き（window.YTD.tweets.part0 = など）
+   */
+  constructor(file, options = {}) {
+    this.file = file
+    this.prefix_pattern = options.prefix_pattern || null
+    this.bytes_read = 0
+  }
+
+  /**
+   * 読み込み済みの割合（0〜100）
+   * @returns {number} 進捗率
+   */
+  get progress() {
+    if (!this.file.size) return 100
+    return Math.round((this.bytes_read / this.file.size) * 100)
+  }
+
+  /**
+   * 配列の要素を1件ずつ返す
+   * @returns {AsyncGenerator<*>} 配列の要素
+   */
+  async *items() {
+    const reader = this.file.stream().getReader()
+    const decoder = new TextDecoder('utf-8')
+
+    let prefix = ''
+    let started = false
+    let finished = false
+    let depth = 0
+    let in_string = false
+    let escaped = false
+    // チャンクをまたぐ要素の読み込み済み部分
+    let item_parts = []
+
+    try {
+      while (!finished) {
+        const { done, value } = await reader.read()
+        if (done) break
+
+        this.bytes_read += value.byteLength
+        const chunk = decoder.decode(value, { stream: true })
+        let i = 0
+        let item_start = item_parts.length > 0 ? 0 : -1
+
+        // 配列の開始位置まで前置き部分を読み飛ばす
+        if (!started) {
+          const bracket_pos = chunk.indexOf('[')
+          if (bracket_pos === -1) {
+            prefix += chunk
+            if (prefix.length > MAX_PREFIX_LENGTH) {
+              throw new Error('JSON配列が見つかりませんでした')
+            }
+            continue
+          }
+
+          prefix += chunk.slice(0, bracket_pos)
+          this.validate_prefix(prefix)
+          started = true
+          i = bracket_pos + 1
+        }
+
+        for (; i < chunk.length; i++) {
+          const char = chunk[i]
+
+          if (in_string) {
+            if (escaped) {
+              escaped = false
+            } else if (char === '\\') {
+              escaped = true
+            } else if (char === '"') {
+              in_string = false
+            }
+            continue
+          }
+
+          if (char === '"') {
+            if (depth === 0) {
+              throw new Error('配列の要素がオブジェクトではありません')
+            }
+            in_string = true
+          } else if (char === '{' || char === '[') {
+            if (depth === 0) {
+              item_start = i
+            }
+            depth++
+          } else if (char === '}' || char === ']') {
+            if (depth === 0) {
+              // トップレベル配列の終端
+              finished = true
+              break
+            }
+
+            depth--
+            if (depth === 0) {
+              item_parts.push(chunk.slice(item_start, i + 1))
+              const item_text = item_parts.join('')
+              item_parts = []
+              item_start = -1
+
+              yield JSON.parse(item_text)
+            }
+          }
+        }
+
+        // 要素の途中でチャンクが終わった場合は次のチャンクへ持ち越す
+        if (!finished && item_start !== -1) {
+          item_parts.push(chunk.slice(item_start))
+        }
+      }
+    } finally {
+      reader.releaseLock()
+    }
+
+    if (!started) {
+      throw new Error('JSON配列が見つかりませんでした')
+    }
+    if (!finished) {
+      throw new Error('ファイルが途中で終わっています')
+    }
+  }
+
+  /**
+   * 配列の前置き部分を検証
+   * @param {string} prefix - 配列の開始位置より前の文字列
+   */
+  validate_prefix(prefix) {
+    const trimmed = prefix.replace(/^\uFEFF/, '').trim()
+    if (trimmed === '') return
+
+    if (!this.prefix_pattern || !this.prefix_pattern.test(trimmed)) {
+      throw new Error('JSON配列の前に不明なデータがあります')
+    }
+  }
+}
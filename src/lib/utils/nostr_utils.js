@@ -0,0 +1,74 @@
+/**
+ * Nostr関連のユーティリティ
+ * イベントIDの計算とbech32形式（npub・note）への変換を行う
+ */
+
+// bech32の文字セット
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+
+// bech32チェックサムの生成多項式
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+
+/**
+ * bech32のチェックサム計算
+ * @param {Array<number>} values - 5ビット値の配列
+ * @returns {number} チェックサム
+ */
+function bech32_polymod(values) {
+  let checksum = 1
+  for (const value of values) {
+    const top = checksum >> 25
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) {
+        checksum ^= BECH32_GENERATOR[i]
+      }
+    }
+  }
+  return checksum
+}
+
+/**
+ * 16進数文字列をbech32形式に変換
+ * @param {string} hrp - プレフィックス（'npub' | 'note'など）
+ * @param {string} hex - 16進数文字列
+ * @returns {string} bech32文字列
+ */
+export function encode_bech32(hrp, hex) {
+  const bytes = (hex.match(/../g) || []).map(byte => parseInt(byte, 16))
+
+  // 8ビット列を5ビット列に詰め替える
+  const words = []
+  let buffer = 0
+  let bits = 0
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xffff
+    bits += 8
+    while (bits >= 5) {
+      bits -= 5
+      words.push((buffer >> bits) & 31)
+    }
+  }
+  if (bits > 0) {
+    words.push((buffer << (5 - bits)) & 31)
+  }
+
+  const hrp_codes = [...hrp].map(char => char.charCodeAt(0))
+  const hrp_expanded = [...hrp_codes.map(code => code >> 5), 0, ...hrp_codes.map(code => code & 31)]
+  const polymod = bech32_polymod([...hrp_expanded, ...words, 0, 0, 0, 0, 0, 0]) ^ 1
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => (polymod >> (5 * (5 - i))) & 31)
+
+  return `${hrp}1${[...words, ...checksum].map(word => BECH32_CHARSET[word]).join('')}`
+}
+
+/**
+ * NIP-01に従ってイベントIDを計算
+ * [0, pubkey, created_at, kind, tags, content]をシリアライズしたもののSHA-256
+ * @param {Object} event - Nostrイベント
+ * @returns {Promise<string>} 16進数のイベントID
+ */
+export async function compute_event_id(event) {
+  const serialized = JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content])
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(serialized))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
@@ -0,0 +1,243 @@
+// sns:で指定できるSNS種別
+const SNS_TYPES = ['twitter', 'bluesky', 'mastodon', 'misskey', 'threads', 'nostr']
+
+// has:で指定できる値とフィルターのキー
+const HAS_FILTERS = {
+  media: 'has_media',
+  link: 'has_links',
+  links: 'has_links'
+}
+
+// is:で指定できる値とフィルターのキー
+const IS_FILTERS = {
+  repost: 'is_repost',
+  reply: 'is_reply',
+  keep: 'is_kept'
+}
+
+const OPERATOR_PATTERN = /^(from|sns|since|until|has|is):(.*)$/i
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/
+
+/**
+ * 検索クエリのパーサー
+ * Twitter風の演算子（sns: since: until: has: is: from: #タグ @ユーザー "フレーズ" OR -除外）を解釈し、
+ * 本文の検索条件とfilterオブジェクトに分ける
+ */
+export class SearchQueryParser {
+  /**
+   * 検索クエリを解析
+   * groupsはすべて満たす必要がある条件（各グループ内はORでいずれかに一致すればよい）
+   * 検索語は { type: 'text'|'hashtag'|'mention', value } の形式
+   * @param {string} query - 検索クエリ
+   * @returns {Object} { groups, excludes, filter, errors }
+   */
+  parse(query) {
+    const result = { groups: [], excludes: [], filter: {}, errors: [] }
+    const tokens = this.tokenize(query || '', result.errors)
+
+    // 直前の検索語のグループ（ORでつなげる対象）
+    let last_group = null
+    let pending_or = false
+
+    for (const token of tokens) {
+      if (token.type === 'or') {
+        if (!last_group || pending_or) {
+          result.errors.push({ message: 'ORの前後には検索語が必要です', token: token.raw })
+        }
+        pending_or = true
+        continue
+      }
+
+      const term = token.type === 'phrase'
+        ? { type: 'text', value: token.value }
+        : this.parse_word(token, result)
+
+      if (!term) {
+        // 演算子は検索語ではないためORでつなげられない
+        if (pending_or) {
+          result.errors.push({ message: 'ORでつなげられるのは検索語だけです', token: token.raw })
+          pending_or = false
+        }
+        last_group = null
+        continue
+      }
+
+      if (token.negated) {
+        if (pending_or) {
+          result.errors.push({ message: '除外する語はORでつなげられません', token: token.raw })
+          pending_or = false
+        }
+        result.excludes.push(term)
+        last_group = null
+        continue
+      }
+
+      if (pending_or && last_group) {
+        last_group.push(term)
+      } else {
+        last_group = [term]
+        result.groups.push(last_group)
+      }
+      pending_or = false
+    }
+
+    if (pending_or) {
+      result.errors.push({ message: 'ORの前後には検索語が必要です', token: 'OR' })
+    }
+
+    const { start_date, end_date } = result.filter
+    if (start_date && end_date && start_date > end_date) {
+      result.errors.push({ message: 'since:の日付がuntil:より後になっています', token: 'since:' })
+    }
+
+    return result
+  }
+
+  /**
+   * 演算子・ハッシュタグ・メンション・単語を解釈
+   * 演算子の場合はfilterに反映してnullを返す
+   * @param {Object} token - トークン
+   * @param {Object} result - 解析結果
+   * @returns {Object|null} 検索語
+   */
+  parse_word(token, result) {
+    const { value, negated, raw } = token
+    const operator_match = OPERATOR_PATTERN.exec(value)
+
+    if (!operator_match) {
+      if (value.length > 1 && value.startsWith('#')) {
+        return { type: 'hashtag', value: value.slice(1) }
+      }
+      if (value.length > 1 && value.startsWith('@')) {
+        return { type: 'mention', value: value.slice(1) }
+      }
+      return { type: 'text', value }
+    }
+
+    const key = operator_match[1].toLowerCase()
+    const operand = operator_match[2]
+    const add_error = (message) => result.errors.push({ message, token: raw })
+
+    if (operand === '') {
+      add_error(`${key}:の後に値を指定してください`)
+      return null
+    }
+
+    // 除外できるのはhas:とis:のみ
+    if (negated && key !== 'has' && key !== 'is') {
+      add_error(`${key}:は除外（-）できません`)
+      return null
+    }
+
+    switch (key) {
+      case 'sns': {
+        const sns_type = operand.toLowerCase()
+        if (!SNS_TYPES.includes(sns_type)) {
+          add_error(`不明なSNSです: ${operand}（${SNS_TYPES.join(', ')}）`)
+        } else {
+          result.filter.sns_type = sns_type
+        }
+        break
+      }
+      case 'since':
+      case 'until': {
+        const date = this.parse_date(operand)
+        if (!date) {
+          add_error(`日付はYYYY-MM-DDの形式で指定してください: ${operand}`)
+        } else if (key === 'since') {
+          result.filter.start_date = date.toISOString()
+        } else {
+          // until:は指定した日の終わりまでを含める
+          date.setDate(date.getDate() + 1)
+          result.filter.end_date = new Date(date.getTime() - 1).toISOString()
+        }
+        break
+      }
+      case 'has':
+      case 'is': {
+        const filters = key === 'has' ? HAS_FILTERS : IS_FILTERS
+        const filter_key = filters[operand.toLowerCase()]
+        if (!filter_key) {
+          add_error(`不明な${key}:の値です: ${operand}（${Object.keys(filters).join(', ')}）`)
+        } else {
+          result.filter[filter_key] = !negated
+        }
+        break
+      }
+      case 'from':
+        result.filter.author = operand.replace(/^@/, '').toLowerCase()
+        break
+    }
+
+    return null
+  }
+
+  /**
+   * YYYY-MM-DD形式の日付を解析（ローカル時刻の0時）
+   * @param {string} text - 日付文字列
+   * @returns {Date|null} 日付（不正な場合はnull）
+   */
+  parse_date(text) {
+    const match = DATE_PATTERN.exec(text)
+    if (!match) return null
+
+    const [year, month, day] = match.slice(1).map(Number)
+    const date = new Date(year, month - 1, day)
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null
+    }
+    return date
+  }
+
+  /**
+   * クエリをトークンに分割
+   * @param {string} query - 検索クエリ
+   * @param {Array} errors - 構文エラーの追加先
+   * @returns {Array<Object>} { type: 'word'|'phrase'|'or', value, negated, raw }
+   */
+  tokenize(query, errors) {
+    const tokens = []
+    let i = 0
+
+    while (i < query.length) {
+      if (/\s/.test(query[i])) {
+        i++
+        continue
+      }
+
+      const start = i
+      const negated = query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])
+      if (negated) i++
+
+      if (query[i] === '"') {
+        const close = query.indexOf('"', i + 1)
+        if (close === -1) {
+          errors.push({ message: '引用符（"）が閉じられていません', token: query.slice(start) })
+        }
+        const end = close === -1 ? query.length : close
+        const value = query.slice(i + 1, end)
+        i = close === -1 ? query.length : close + 1
+
+        if (value.trim() !== '') {
+          tokens.push({ type: 'phrase', value, negated, raw: query.slice(start, i) })
+        }
+        continue
+      }
+
+      while (i < query.length && !/\s/.test(query[i])) i++
+      const raw = query.slice(start, i)
+      const value = negated ? raw.slice(1) : raw
+
+      if (!negated && value === 'OR') {
+        tokens.push({ type: 'or', value, negated: false, raw })
+      } else {
+        tokens.push({ type: 'word', value, negated, raw })
+      }
+    }
+
+    return tokens
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const search_query_parser = new SearchQueryParser()
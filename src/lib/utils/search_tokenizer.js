@@ -0,0 +1,232 @@
+// 末尾の1文字にも2-gramを作るための終端文字（1文字の検索を前方一致で扱える）
+const END_MARK = '\u0000'
+
+// カタカナ（ァ〜ヶ・ヽヾ）からひらがなへの文字コードの差
+const KATAKANA_TO_HIRAGANA_OFFSET = 0x60
+
+// ゞで濁点を付けられるかな（濁点付きの文字は文字コードが1つ後ろ。うのみゔに変換する）
+const VOICEABLE_KANA = /[かきくけこさしすせそたちつてとはひふへほう]/
+
+// 長音記号を除去するかなの連続の文字（ひらがなへの統一後のため、カタカナも含まれる）
+const HIRAGANA_PATTERN = /[\u3041-\u309f]/
+
+// 本文中の直前の文字によって正規化の結果が変わる文字（長音記号・踊り字・結合文字）
+const CONTEXT_DEPENDENT_PATTERN = /^[ー\uff70ゝゞ々ヽヾ\p{M}\uff9e\uff9f]/u
+
+// 直後に続くと直前の文字と合成される結合文字（濁点・半濁点・ダイアクリティカルマーク）
+const COMPOSING_MARKS = ['\u3099', '\u309a', ...Array.from({ length: 0x70 }, (_, i) => String.fromCharCode(0x300 + i))]
+
+/**
+ * 全文検索用のトークナイザー
+ * 分かち書きのない日本語でも部分一致で検索できるよう、本文を文字の2-gram（バイグラム）に分割する
+ * 索引と検索クエリの両方を同じ手順で正規化し、表記ゆれを吸収する
+ */
+export class SearchTokenizer {
+  /**
+   * 検索用にテキストを正規化
+   * NFKC（全角英数・半角カナの統一）→ 小文字化 → カタカナをひらがなに統一 → 踊り字の展開 → かなの連続の末尾の長音記号の除去
+   * @param {string} text - 対象テキスト
+   * @param {Object} options - オプション
+   * @param {boolean} options.strict - trueの場合は正規化しない（厳密一致）
+   * @returns {string} 正規化したテキスト
+   */
+  normalize(text, { strict = false } = {}) {
+    const value = text || ''
+    if (strict) return value
+
+    const folded = this.katakana_to_hiragana(value.normalize('NFKC').toLowerCase())
+    return this.remove_long_vowel_marks(this.expand_iteration_marks(folded))
+  }
+
+  /**
+   * 正規化したテキストと、その各文字に対応する元のテキストの位置を取得
+   * 一致箇所を元の本文上で強調表示するために使う（normalizeと同じ手順・順序を1文字ずつ適用する）
+   * @param {string} text - 対象テキスト
+   * @returns {Object} { text: 正規化したテキスト, offsets: 正規化後の各UTF-16単位に対応する元の位置 [start, end] }
+   */
+  normalize_with_offsets(text) {
+    const value = text || ''
+    const chars = []
+
+    // 結合文字（濁点・半濁点など）は直前の文字とまとめてNFKCを適用する
+    const clusters = value.match(/[^\p{M}\uff9e\uff9f][\p{M}\uff9e\uff9f]*|[\p{M}\uff9e\uff9f]+/gsu) || []
+    let position = 0
+    for (const cluster of clusters) {
+      const start = position
+      position += cluster.length
+      const folded = this.katakana_to_hiragana(cluster.normalize('NFKC').toLowerCase())
+      for (const char of folded) {
+        chars.push({ char, start, end: position })
+      }
+    }
+
+    // 踊り字の展開（normalizeと同じく、長音記号の除去より先に行う）
+    const expanded_chars = []
+    for (const entry of chars) {
+      const previous = expanded_chars.length > 0 ? expanded_chars[expanded_chars.length - 1].char : ''
+      if (previous && (entry.char === 'ゝ' || entry.char === '々' || entry.char === 'ゞ')) {
+        expanded_chars.push({ ...entry, char: this.expand_iteration_marks(previous + entry.char).slice(previous.length) })
+      } else {
+        expanded_chars.push(entry)
+      }
+    }
+
+    // 長音記号の除去
+    const marks = this.find_trailing_long_vowel_marks(expanded_chars.map(entry => entry.char))
+    const folded_chars = expanded_chars.filter((_, index) => !marks.has(index))
+
+    const offsets = []
+    for (const entry of folded_chars) {
+      for (let i = 0; i < entry.char.length; i++) {
+        offsets.push([entry.start, entry.end])
+      }
+    }
+
+    return { text: folded_chars.map(entry => entry.char).join(''), offsets }
+  }
+
+  /**
+   * カタカナをひらがなに変換
+   * @param {string} text - 対象テキスト
+   * @returns {string} 変換したテキスト
+   */
+  katakana_to_hiragana(text) {
+    return text.replace(/[\u30a1-\u30f6\u30fd\u30fe]/g, char => (
+      String.fromCharCode(char.charCodeAt(0) - KATAKANA_TO_HIRAGANA_OFFSET)
+    ))
+  }
+
+  /**
+   * 踊り字（ゝ・ゞ・々）を直前の文字に展開
+   * ひらがなへの統一後に呼ぶため、ヽ・ヾもゝ・ゞとして扱われる
+   * @param {string} text - 対象テキスト
+   * @returns {string} 展開したテキスト
+   */
+  expand_iteration_marks(text) {
+    const chars = Array.from(text)
+    for (let i = 1; i < chars.length; i++) {
+      const previous = chars[i - 1]
+      if (chars[i] === 'ゝ' || chars[i] === '々') {
+        chars[i] = previous
+      } else if (chars[i] === 'ゞ') {
+        chars[i] = VOICEABLE_KANA.test(previous)
+          ? (previous === 'う' ? 'ゔ' : String.fromCharCode(previous.charCodeAt(0) + 1))
+          : previous
+      }
+    }
+    return chars.join('')
+  }
+
+  /**
+   * かなの連続の末尾にある長音記号を除去（「サーバー」と「サーバ」を同一視する）
+   * @param {string} text - 対象テキスト
+   * @returns {string} 除去したテキスト
+   */
+  remove_long_vowel_marks(text) {
+    const chars = Array.from(text)
+    const marks = this.find_trailing_long_vowel_marks(chars)
+    return chars.filter((_, index) => !marks.has(index)).join('')
+  }
+
+  /**
+   * かなの連続の末尾にある長音記号の位置を取得
+   * 語中の長音記号（「サーバー」の「サ」の後）は残し、直後がかなでない長音記号だけを対象にする
+   * @param {string[]} chars - ひらがなに統一した文字の配列
+   * @returns {Set<number>} 除去する長音記号の位置
+   */
+  find_trailing_long_vowel_marks(chars) {
+    const marks = new Set()
+    for (let i = 0; i < chars.length; i++) {
+      if (chars[i] !== 'ー' || !HIRAGANA_PATTERN.test(chars[i - 1] || '')) continue
+
+      // 連続した長音記号はまとめて判定する
+      let end = i
+      while (chars[end + 1] === 'ー') end++
+      if (!HIRAGANA_PATTERN.test(chars[end + 1] || '')) {
+        for (let j = i; j <= end; j++) marks.add(j)
+      }
+      i = end
+    }
+    return marks
+  }
+
+  /**
+   * 索引に登録する2-gramを作成
+   * @param {string} text - ポスト本文
+   * @returns {string[]} 重複を除いた2-gramの配列
+   */
+  create_index_grams(text) {
+    const chars = Array.from(this.normalize(text))
+    if (chars.length === 0) return []
+
+    chars.push(END_MARK)
+    return this.to_bigrams(chars)
+  }
+
+  /**
+   * 検索クエリの2-gramを作成
+   * 1文字のクエリは2-gramを作れないため、その1文字を返す（索引は前方一致で引く）
+   * 厳密一致では、本文にそのまま含まれるポストが必ず候補に入るよう、前後の文字によって正規化の結果が変わる部分を除く
+   * @param {string} query - 検索クエリ
+   * @param {Object} options - オプション
+   * @param {boolean} options.strict - trueの場合は厳密一致の候補を引くための2-gramを作る
+   * @returns {string[]} 重複を除いた2-gramの配列（索引で絞り込めない場合は空）
+   */
+  create_query_grams(query, { strict = false } = {}) {
+    const chars = Array.from(this.normalize(strict ? this.trim_context_dependent(query || '') : query))
+    if (chars.length <= 1) return chars
+
+    return this.to_bigrams(chars)
+  }
+
+  /**
+   * 本文中での前後の文字によって正規化の結果が変わるクエリの先頭・末尾を除く
+   * 先頭の長音記号・踊り字・結合文字は直前の文字に、末尾の文字は直後の結合文字によって変わる
+   * @param {string} query - 検索クエリ
+   * @returns {string} 除いた後のクエリ
+   */
+  trim_context_dependent(query) {
+    let chars = Array.from(query)
+    while (chars.length > 0 && CONTEXT_DEPENDENT_PATTERN.test(chars[0])) {
+      chars = chars.slice(1)
+    }
+
+    // 末尾が結合文字の場合は、直前の文字とまとめて除く
+    const last = chars[chars.length - 1]
+    if (last && /[\p{M}\uff9e\uff9f]/u.test(last)) {
+      while (chars.length > 0 && /[\p{M}\uff9e\uff9f]/u.test(chars[chars.length - 1])) {
+        chars = chars.slice(0, -1)
+      }
+      chars = chars.slice(0, -1)
+    } else if (last && COMPOSING_MARKS.some(mark => (last + mark).normalize('NFKC') !== last.normalize('NFKC') + mark.normalize('NFKC'))) {
+      chars = chars.slice(0, -1)
+    }
+
+    return chars.join('')
+  }
+
+  /**
+   * search_indexテーブルに保存する索引行を作成
+   * @param {Object} post - ポスト
+   * @returns {Object} { post_id, sns_type, created_at, grams }
+   */
+  create_index_row(post) {
+    return {
+      post_id: post.id,
+      sns_type: post.sns_type,
+      created_at: post.created_at,
+      grams: this.create_index_grams(post.content)
+    }
+  }
+
+  to_bigrams(chars) {
+    const grams = new Set()
+    for (let i = 0; i < chars.length - 1; i++) {
+      grams.add(chars[i] + chars[i + 1])
+    }
+    return Array.from(grams)
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const search_tokenizer = new SearchTokenizer()
@@ -162,6 +162,83 @@ export class SNSAccountValidator {
     return { valid: true, normalized: normalized }
   }
 
+  normalize_misskey(account) {
+    if (!account) return ''
+    
+    // Misskeyのユーザー名にはアンダースコアを使用できる
+    const normalized = this.to_half_width(account).replace(/^@/, '')
+    
+    const at_index = normalized.indexOf('@')
+    
+    if (at_index === -1) {
+      return normalized.replace(/[^a-zA-Z0-9_]/g, '')
+    }
+    
+    const cleaned_username = normalized.substring(0, at_index).replace(/[^a-zA-Z0-9_]/g, '')
+    const cleaned_domain = normalized.substring(at_index + 1).replace(/[^a-zA-Z0-9.-]/g, '')
+    
+    return `${cleaned_username}@${cleaned_domain}`
+  }
+
+  validate_misskey(account) {
+    if (!account) {
+      return { valid: false, error: 'アカウント名を入力してください' }
+    }
+    
+    const normalized = this.normalize_misskey(account)
+    
+    if (!normalized.includes('@')) {
+      return { valid: false, error: 'ユーザー名@サーバー名の形式で入力してください' }
+    }
+    
+    const [username, domain] = normalized.split('@')
+    
+    if (username.length === 0) {
+      return { valid: false, error: 'ユーザー名が入力されていません' }
+    }
+    
+    if (domain.length === 0) {
+      return { valid: false, error: 'サーバー名が入力されていません' }
+    }
+    
+    if (!domain.includes('.')) {
+      return { valid: false, error: 'サーバー名はドメイン形式で入力してください' }
+    }
+    
+    return { valid: true, normalized: normalized }
+  }
+
+  normalize_threads(username) {
+    if (!username) return ''
+    
+    // Threadsのユーザー名はInstagramと共通（英数字・ピリオド・アンダースコア、30文字以内）
+    let normalized = this.to_half_width(username).replace(/^@/, '')
+    
+    normalized = normalized.replace(/[^a-zA-Z0-9._]/g, '')
+    
+    normalized = normalized.substring(0, 30)
+    
+    return normalized
+  }
+
+  validate_threads(username) {
+    if (!username) {
+      return { valid: false, error: 'ユーザー名を入力してください' }
+    }
+    
+    const normalized = this.normalize_threads(username)
+    
+    if (normalized.length === 0) {
+      return { valid: false, error: '有効な文字を入力してください' }
+    }
+    
+    if (normalized.startsWith('.') || normalized.endsWith('.')) {
+      return { valid: false, error: 'ユーザー名の先頭と末尾にピリオドは使用できません' }
+    }
+    
+    return { valid: true, normalized: normalized }
+  }
+
   normalize(sns_type, account) {
     switch (sns_type) {
       case 'twitter':
@@ -172,6 +249,10 @@ export class SNSAccountValidator {
         return this.normalize_bluesky(account)
       case 'mastodon':
         return this.normalize_mastodon(account)
+      case 'misskey':
+        return this.normalize_misskey(account)
+      case 'threads':
+        return this.normalize_threads(account)
       default:
         return account
     }
@@ -187,6 +268,10 @@ export class SNSAccountValidator {
         return this.validate_bluesky(account)
       case 'mastodon':
         return this.validate_mastodon(account)
+      case 'misskey':
+        return this.validate_misskey(account)
+      case 'threads':
+        return this.validate_threads(account)
       default:
         return { valid: true, normalized: account }
     }
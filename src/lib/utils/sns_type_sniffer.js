@@ -0,0 +1,236 @@
+import pako from 'pako'
+
+// 判定に使うファイル先頭のバイト数
+const SNIFF_SIZE = 64 * 1024
+
+// Threadsのエクスポートで投稿一覧が入るキー
+const THREADS_POST_LIST_KEYS = ['text_post_app_text_posts', 'text_post_app_text_app_posts', 'threads_and_replies']
+
+/**
+ * ファイル内容によるSNS種別判定
+ * ファイル名に頼らず、先頭のバイト列からエクスポート形式を判定する
+ * 判定結果には確度（high: 形式に固有の特徴が一致 / medium: 特徴の一部が一致）を付ける
+ */
+export class SnsTypeSniffer {
+  /**
+   * ファイルの内容からSNS種別を判定
+   * @param {File|Blob} file - 判定するファイル
+   * @returns {Promise<Object|null>} { sns_type, confidence, reason }（判定できない場合はnull）
+   */
+  async sniff(file) {
+    const bytes = new Uint8Array(await file.slice(0, SNIFF_SIZE).arrayBuffer())
+    if (bytes.length === 0) return null
+
+    return this.sniff_binary(bytes) || this.sniff_text(this.decode_text(bytes))
+  }
+
+  /**
+   * バイナリ形式（ZIP・gzip・CAR）を判定
+   * @param {Uint8Array} bytes - ファイル先頭のバイト列
+   * @returns {Object|null} 判定結果
+   */
+  sniff_binary(bytes) {
+    // ZIP（PK\x03\x04）はTwitterアーカイブ
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) {
+      return { sns_type: 'twitter', confidence: 'high', reason: 'ZIPアーカイブ' }
+    }
+
+    // gzipは展開して中身を確認する
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+      return this.sniff_gzip(bytes)
+    }
+
+    if (this.is_car_header(bytes)) {
+      return { sns_type: 'bluesky', confidence: 'high', reason: 'CARファイルのヘッダー' }
+    }
+
+    return null
+  }
+
+  /**
+   * gzip圧縮されたファイルを判定
+   * Mastodonアーカイブ（tar.gz）とKeePostのバックアップ（ndjson.gz）を区別する
+   * @param {Uint8Array} bytes - ファイル先頭のバイト列
+   * @returns {Object} 判定結果
+   */
+  sniff_gzip(bytes) {
+    const chunks = []
+    const inflator = new pako.Inflate()
+    inflator.onData = (chunk) => chunks.push(chunk)
+    inflator.push(bytes, false)
+
+    const length = chunks.reduce((total, chunk) => total + chunk.length, 0)
+    const inflated = new Uint8Array(length)
+    let offset = 0
+    for (const chunk of chunks) {
+      inflated.set(chunk, offset)
+      offset += chunk.length
+    }
+
+    // TARのヘッダーは257バイト目に"ustar"を持つ
+    if (this.to_ascii(inflated.subarray(257, 262)) === 'ustar') {
+      return { sns_type: 'mastodon', confidence: 'high', reason: 'tar.gzアーカイブ' }
+    }
+
+    if (this.is_backup_metadata(this.decode_text(inflated))) {
+      return { sns_type: 'backup', confidence: 'high', reason: 'KeePostバックアップのメタデータ' }
+    }
+
+    return { sns_type: 'mastodon', confidence: 'medium', reason: 'gzip圧縮ファイル' }
+  }
+
+  /**
+   * テキスト形式（JS・JSON・NDJSON・CSV）を判定
+   * @param {string} text - ファイル先頭のテキスト
+   * @returns {Object|null} 判定結果
+   */
+  sniff_text(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trimStart()
+
+    // Twitterアーカイブのwindow.YTD.<種類>.partN = [...]
+    const ytd_match = /^window\.YTD\.(\w+)\.part\d+\s*=/.exec(trimmed)
+    if (ytd_match) {
+      const data_type = ytd_match[1]
+      if (data_type === 'like') {
+        return { sns_type: 'twitter_likes', confidence: 'high', reason: 'window.YTD.like' }
+      }
+      if (data_type === 'tweets' || data_type === 'tweet') {
+        return { sns_type: 'twitter', confidence: 'high', reason: `window.YTD.${data_type}` }
+      }
+      return { sns_type: 'twitter', confidence: 'medium', reason: `window.YTD.${data_type}` }
+    }
+
+    if (this.is_backup_metadata(trimmed)) {
+      return { sns_type: 'backup', confidence: 'high', reason: 'KeePostバックアップのメタデータ' }
+    }
+
+    if (this.is_nostr_event_line(trimmed)) {
+      return { sns_type: 'nostr', confidence: 'high', reason: 'Nostrイベント' }
+    }
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      return this.sniff_json(trimmed)
+    }
+
+    return this.sniff_twilog_csv(trimmed)
+  }
+
+  /**
+   * JSON形式のエクスポートを判定
+   * 先頭部分しか読まないため、JSONとして解析せずキーの有無で判定する
+   * @param {string} text - ファイル先頭のテキスト
+   * @returns {Object|null} 判定結果
+   */
+  sniff_json(text) {
+    if (text.includes('"@context"')) {
+      if (/"type"\s*:\s*"OrderedCollection(Page)?"/.test(text)) {
+        return { sns_type: 'mastodon', confidence: 'high', reason: 'ActivityPubのOrderedCollection' }
+      }
+      return { sns_type: 'mastodon', confidence: 'medium', reason: 'ActivityPubの@context' }
+    }
+
+    if (THREADS_POST_LIST_KEYS.some(key => text.includes(`"${key}"`))) {
+      return { sns_type: 'threads', confidence: 'high', reason: 'Threadsの投稿一覧' }
+    }
+
+    if (text.includes('"createdAt"')) {
+      if (/"(renoteId|replyId|visibility|fileIds)"\s*:/.test(text)) {
+        return { sns_type: 'misskey', confidence: 'high', reason: 'Misskeyのノート' }
+      }
+      return { sns_type: 'misskey', confidence: 'medium', reason: 'createdAtを持つJSON' }
+    }
+
+    return null
+  }
+
+  /**
+   * TwilogのCSVを判定
+   * @param {string} text - ファイル先頭のテキスト
+   * @returns {Object|null} 判定結果
+   */
+  sniff_twilog_csv(text) {
+    const first_line = text.split(/\r?\n/, 1)[0]
+
+    if (first_line.startsWith('"ID","URL"')) {
+      return { sns_type: 'twilog', confidence: 'high', reason: 'TwilogのCSVヘッダー' }
+    }
+
+    // "ID","URL","日時","本文" の列構成
+    if (/^"\d+","https?:\/\/[^"]+\/status\/\d+","[^"]*","/.test(first_line)) {
+      return { sns_type: 'twilog', confidence: 'high', reason: 'TwilogのCSV列構成' }
+    }
+
+    return null
+  }
+
+  /**
+   * CARファイル（CARv1・CARv2）のヘッダーか
+   * @param {Uint8Array} bytes - ファイル先頭のバイト列
+   * @returns {boolean} CARファイルの場合true
+   */
+  is_car_header(bytes) {
+    // 先頭のvarintがヘッダー長、続くDAG-CBORのマップにrootsとversionを持つ
+    let header_length = 0
+    let shift = 0
+    let pos = 0
+    while (pos < bytes.length && pos < 4) {
+      const byte = bytes[pos++]
+      header_length |= (byte & 0x7f) << shift
+      if ((byte & 0x80) === 0) break
+      shift += 7
+    }
+
+    if (header_length === 0 || pos + header_length > bytes.length) return false
+
+    // CBORのマップ（0xa0〜0xb7）で始まる
+    if ((bytes[pos] & 0xe0) !== 0xa0) return false
+
+    const header = this.to_ascii(bytes.subarray(pos, pos + Math.min(header_length, 256)))
+    return header.includes('version') && (header.includes('roots') || bytes[pos] === 0xa1)
+  }
+
+  /**
+   * KeePostのバックアップ（NDJSON）のメタデータ行か
+   * @param {string} text - ファイル先頭のテキスト
+   * @returns {boolean} メタデータ行の場合true
+   */
+  is_backup_metadata(text) {
+    const first_line = text.split('\n', 1)[0].trim()
+    if (!first_line.startsWith('{')) return false
+
+    try {
+      const metadata = JSON.parse(first_line)
+      return metadata.type === 'metadata' && !!metadata.db_version
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * NostrのイベントJSONL（1行1イベント）か
+   * @param {string} text - ファイル先頭のテキスト
+   * @returns {boolean} Nostrイベントの場合true
+   */
+  is_nostr_event_line(text) {
+    const first_line = text.split('\n', 1)[0].trim()
+    if (!first_line.startsWith('{')) return false
+
+    try {
+      const event = JSON.parse(first_line)
+      return typeof event.pubkey === 'string' && typeof event.kind === 'number' && typeof event.sig === 'string'
+    } catch {
+      return false
+    }
+  }
+
+  decode_text(bytes) {
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+
+  to_ascii(bytes) {
+    return String.fromCharCode(...bytes)
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const sns_type_sniffer = new SnsTypeSniffer()
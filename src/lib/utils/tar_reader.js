@@ -0,0 +1,260 @@
+import pako from 'pako'
+
+// TARのブロックサイズ
+const BLOCK_SIZE = 512
+
+// 圧縮ファイルの読み込み単位
+const READ_CHUNK_SIZE = 4 * 1024 * 1024
+
+/**
+ * TARストリームパーサー
+ * 展開済みのバイト列を順に受け取り、完了したエントリを取り出せるようにする
+ */
+class TarStreamParser {
+  /**
+   * コンストラクタ
+   * @param {Function} filter - 内容を保持するエントリの判定関数 (name, size) => boolean
+   */
+  constructor(filter) {
+    this.filter = filter
+    this.state = 'header'
+    this.header = new Uint8Array(BLOCK_SIZE)
+    this.header_filled = 0
+    this.remaining = 0
+    this.padding = 0
+    this.current = null
+    this.long_name = null
+    this.completed = []
+  }
+
+  /**
+   * 展開済みのバイト列を追加
+   * @param {Uint8Array} chunk - バイト列
+   */
+  push(chunk) {
+    let pos = 0
+
+    while (pos < chunk.length && this.state !== 'end') {
+      if (this.state === 'header') {
+        const length = Math.min(BLOCK_SIZE - this.header_filled, chunk.length - pos)
+        this.header.set(chunk.subarray(pos, pos + length), this.header_filled)
+        this.header_filled += length
+        pos += length
+
+        if (this.header_filled === BLOCK_SIZE) {
+          this.header_filled = 0
+          this.handle_header()
+        }
+      } else if (this.state === 'data') {
+        const length = Math.min(this.remaining, chunk.length - pos)
+        if (this.current.chunks) {
+          this.current.chunks.push(chunk.slice(pos, pos + length))
+        }
+        this.remaining -= length
+        pos += length
+
+        if (this.remaining === 0) {
+          this.finish_entry()
+        }
+      } else if (this.state === 'padding') {
+        const length = Math.min(this.padding, chunk.length - pos)
+        this.padding -= length
+        pos += length
+
+        if (this.padding === 0) {
+          this.state = 'header'
+        }
+      }
+    }
+  }
+
+  /**
+   * ヘッダーブロックを解析
+   */
+  handle_header() {
+    // 空ブロックはアーカイブの終端
+    if (this.header.every(byte => byte === 0)) {
+      this.state = 'end'
+      return
+    }
+
+    const decoder = new TextDecoder('utf-8')
+    const read_string = (start, length) => {
+      const bytes = this.header.subarray(start, start + length)
+      const end = bytes.indexOf(0)
+      return decoder.decode(end === -1 ? bytes : bytes.subarray(0, end))
+    }
+
+    let name = read_string(0, 100)
+    const size = this.read_size()
+    const type = String.fromCharCode(this.header[156] || 48)
+
+    // ustar形式のプレフィックス
+    if (read_string(257, 5) === 'ustar') {
+      const prefix = read_string(345, 155)
+      if (prefix) {
+        name = `${prefix}/${name}`
+      }
+    }
+
+    // GNU形式の長いファイル名・PAX拡張ヘッダーは次のエントリの名前として扱う
+    if (type === 'L' || type === 'x') {
+      this.current = { name, size, type, chunks: [] }
+    } else {
+      if (this.long_name) {
+        name = this.long_name
+        this.long_name = null
+      }
+
+      const is_file = type === '0' || type === '\0'
+      this.current = {
+        name: name.replace(/^\.\//, ''),
+        size,
+        type,
+        chunks: is_file && this.filter(name.replace(/^\.\//, ''), size) ? [] : null
+      }
+    }
+
+    this.remaining = size
+    this.padding = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE
+
+    if (size === 0) {
+      this.finish_entry()
+    } else {
+      this.state = 'data'
+    }
+  }
+
+  /**
+   * ヘッダーからファイルサイズを取得（8進数またはbase-256）
+   * @returns {number} ファイルサイズ
+   */
+  read_size() {
+    if (this.header[124] & 0x80) {
+      let size = 0
+      for (let i = 125; i < 136; i++) {
+        size = size * 256 + this.header[i]
+      }
+      return size
+    }
+
+    const text = String.fromCharCode(...this.header.subarray(124, 136)).replace(/[\0 ]/g, '')
+    return text ? parseInt(text, 8) : 0
+  }
+
+  /**
+   * エントリの読み込みを完了
+   */
+  finish_entry() {
+    const entry = this.current
+    this.current = null
+    this.state = this.padding > 0 ? 'padding' : 'header'
+
+    if (!entry.chunks) return
+
+    const data = concat_chunks(entry.chunks, entry.size)
+
+    if (entry.type === 'L') {
+      this.long_name = new TextDecoder('utf-8').decode(data).replace(/\0+$/, '')
+    } else if (entry.type === 'x') {
+      const path = parse_pax_path(data)
+      if (path) {
+        this.long_name = path
+      }
+    } else {
+      this.completed.push({ name: entry.name, size: entry.size, data })
+    }
+  }
+
+  /**
+   * 読み込みが完了したエントリを取り出す
+   * @returns {Array<Object>} { name, size, data }の配列
+   */
+  take_completed() {
+    const completed = this.completed
+    this.completed = []
+    return completed
+  }
+}
+
+/**
+ * バイト列の配列を連結
+ * @param {Array<Uint8Array>} chunks - バイト列の配列
+ * @param {number} size - 合計サイズ
+ * @returns {Uint8Array} 連結したバイト列
+ */
+function concat_chunks(chunks, size) {
+  if (chunks.length === 1) return chunks[0]
+
+  const data = new Uint8Array(size)
+  let offset = 0
+  for (const chunk of chunks) {
+    data.set(chunk, offset)
+    offset += chunk.length
+  }
+  return data
+}
+
+/**
+ * PAX拡張ヘッダーからpathを取得
+ * @param {Uint8Array} data - PAXヘッダーの内容
+ * @returns {string|null} パス
+ */
+function parse_pax_path(data) {
+  const text = new TextDecoder('utf-8').decode(data)
+  // 各レコードは「長さ key=value\n」形式
+  const match = text.match(/(?:^|\n)\d+ path=([^\n]*)\n/)
+  return match ? match[1] : null
+}
+
+/**
+ * tar.gzアーカイブリーダー
+ * ファイルを分割して展開しながら読み進めるため、アーカイブ全体をメモリに載せない
+ */
+export class TarGzArchive {
+  /**
+   * コンストラクタ
+   * @param {File|Blob} file - tar.gzファイル
+   */
+  constructor(file) {
+    this.file = file
+  }
+
+  /**
+   * エントリを先頭から順に処理
+   * @param {Function} handler - 各エントリの処理関数 async ({ name, size, data }) => void
+   * @param {Object} options - オプション
+   * @param {Function} options.filter - 内容を読み込むエントリの判定関数 (name, size) => boolean
+   * @param {Function} options.on_progress - 読み込み進捗 (loaded_bytes, total_bytes) => void
+   * @returns {Promise<void>}
+   */
+  async for_each_entry(handler, options = {}) {
+    const { filter = () => true, on_progress = null } = options
+    const parser = new TarStreamParser(filter)
+    const inflator = new pako.Inflate()
+    inflator.onData = (chunk) => parser.push(chunk)
+
+    const total = this.file.size
+
+    for (let offset = 0; offset < total; offset += READ_CHUNK_SIZE) {
+      const buffer = await this.file.slice(offset, offset + READ_CHUNK_SIZE).arrayBuffer()
+      const is_last = offset + READ_CHUNK_SIZE >= total
+      inflator.push(new Uint8Array(buffer), is_last)
+
+      if (inflator.err) {
+        throw new Error(`tar.gzファイルの展開に失敗しました: ${inflator.msg}`)
+      }
+
+      for (const entry of parser.take_completed()) {
+        await handler(entry)
+      }
+
+      if (on_progress) {
+        on_progress(Math.min(offset + READ_CHUNK_SIZE, total), total)
+      }
+
+      // TARの終端に達したら残りは読まない
+      if (parser.state === 'end') break
+    }
+  }
+}
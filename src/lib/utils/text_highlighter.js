@@ -0,0 +1,100 @@
+// 抜粋の長さ（文字数）
+const SNIPPET_LENGTH = 160
+
+/**
+ * 検索結果の強調表示
+ * 一致箇所の位置から、テキストを強調する部分としない部分に分割する
+ * HTMLを組み立てずに分割したテキストを返すため、表示側は{@html}を使わずに<mark>で囲める
+ */
+export class TextHighlighter {
+  /**
+   * テキストを強調表示用の部分に分割
+   * @param {string} text - 対象テキスト
+   * @param {Array<Object>} matches - 一致箇所 { start, end }
+   * @param {number} from - 分割する範囲の開始位置
+   * @param {number} to - 分割する範囲の終了位置
+   * @returns {Array<Object>} { text, highlighted }
+   */
+  create_segments(text, matches, from = 0, to = text.length) {
+    const segments = []
+    let position = from
+
+    for (const match of this.merge_matches(matches)) {
+      const start = Math.max(match.start, position)
+      const end = Math.min(match.end, to)
+      if (start >= end) continue
+
+      if (start > position) {
+        segments.push({ text: text.slice(position, start), highlighted: false })
+      }
+      segments.push({ text: text.slice(start, end), highlighted: true })
+      position = end
+    }
+
+    if (position < to) {
+      segments.push({ text: text.slice(position, to), highlighted: false })
+    }
+
+    return segments
+  }
+
+  /**
+   * 最初の一致箇所を中心にした抜粋を作成
+   * @param {string} text - 対象テキスト
+   * @param {Array<Object>} matches - 一致箇所 { start, end }
+   * @param {number} length - 抜粋の長さ
+   * @returns {Object} { segments, has_before: 前に続きがあるか, has_after: 後に続きがあるか }
+   */
+  create_snippet(text, matches, length = SNIPPET_LENGTH) {
+    const [first] = this.merge_matches(matches)
+    if (!first || text.length <= length) {
+      return { segments: this.create_segments(text, matches), has_before: false, has_after: false }
+    }
+
+    const center = Math.floor((first.start + first.end) / 2)
+    let from = Math.max(0, center - Math.floor(length / 2))
+    const to = this.adjust_boundary(text, Math.min(text.length, from + length))
+    from = this.adjust_boundary(text, Math.max(0, to - length))
+
+    return {
+      segments: this.create_segments(text, matches, from, to),
+      has_before: from > 0,
+      has_after: to < text.length
+    }
+  }
+
+  /**
+   * 一致箇所を位置順に並べ、重なる箇所をまとめる
+   * @param {Array<Object>} matches - 一致箇所 { start, end }
+   * @returns {Array<Object>} まとめた一致箇所
+   */
+  merge_matches(matches) {
+    const sorted = [...matches].sort((a, b) => a.start - b.start)
+    const merged = []
+
+    for (const match of sorted) {
+      const last = merged[merged.length - 1]
+      if (last && match.start <= last.end) {
+        last.end = Math.max(last.end, match.end)
+      } else {
+        merged.push({ start: match.start, end: match.end })
+      }
+    }
+
+    return merged
+  }
+
+  /**
+   * サロゲートペアの途中で区切らないよう位置を調整
+   * @param {string} text - 対象テキスト
+   * @param {number} position - 区切る位置
+   * @returns {number} 調整した位置
+   */
+  adjust_boundary(text, position) {
+    const code = text.charCodeAt(position)
+    return code >= 0xdc00 && code <= 0xdfff ? position - 1 : position
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+export const text_highlighter = new TextHighlighter()
@@ -5,35 +5,44 @@
 export class SecurityValidator {
   constructor() {
     // ファイルサイズ制限
-    this.MAX_JS_SIZE = 500 * 1024 * 1024        // 500MB
+    this.MAX_JS_SIZE = 500 * 1024 * 1024        // 500MB (like.js)
     this.MAX_CAR_SIZE = 1024 * 1024 * 1024      // 1GB (Bluesky)
-    this.MAX_JSON_SIZE = 500 * 1024 * 1024      // 500MB (Mastodon)
+    this.MAX_JSON_SIZE = 500 * 1024 * 1024      // 500MB (Mastodon, Misskey, Threads)
+    this.MAX_HTML_SIZE = 500 * 1024 * 1024      // 500MB (Threads)
+    this.MAX_JSONL_SIZE = 500 * 1024 * 1024     // 500MB (Nostr)
     this.MAX_CSV_SIZE = 500 * 1024 * 1024       // 500MB (Twilog)
+    this.MAX_ZIP_SIZE = 20 * 1024 * 1024 * 1024 // 20GB (Twitterアーカイブ)
+    this.MAX_TAR_GZ_SIZE = 20 * 1024 * 1024 * 1024 // 20GB (Mastodonアーカイブ)
     
     // ツイート数制限
     this.MAX_TWEETS = 200000  // 20万ツイート
     
     // 許可されるファイル拡張子
-    this.ALLOWED_EXTENSIONS = ['.js', '.car', '.json', '.csv']
+    this.ALLOWED_EXTENSIONS = ['.js', '.car', '.json', '.jsonl', '.html', '.csv', '.zip', '.tar.gz', '.tgz']
     
     // ファイル種別ごとのエラーメッセージ
     this.FILE_TYPE_MESSAGES = {
       '.js': 'tweets.jsファイルを選択してください',
       '.car': 'Blueskyのエクスポートファイル(.car)を選択してください',
-      '.json': 'Mastodonのエクスポートファイル(outbox.json)を選択してください',
-      '.csv': 'TwilogのエクスポートファイルCSV (UTF8)を選択してください'
+      '.json': 'Mastodonのエクスポートファイル(outbox.json)、Misskeyのエクスポートファイル(notes-*.json)またはThreadsのエクスポートファイル(threads_and_replies.json)を選択してください',
+      '.jsonl': 'NostrのイベントファイルJSON Lines(.jsonl)を選択してください',
+      '.html': 'ThreadsのHTML形式のエクスポートファイル(threads_and_replies.html)を選択してください',
+      '.csv': 'TwilogのエクスポートファイルCSV (UTF8)を選択してください',
+      '.zip': 'Twitterのアーカイブファイル(.zip)を選択してください',
+      '.tar.gz': 'Mastodonのアーカイブファイル(.tar.gz)を選択してください'
     }
   }
 
   /**
    * ファイルの妥当性を検証
    * @param {File} file - 検証対象ファイル
+   * @param {Object} options - オプション（content_detected: 内容からSNS種別を確定できた場合はtrue）
    * @returns {ValidationResult} 検証結果
    */
-  validate_file(file) {
+  validate_file(file, { content_detected = false } = {}) {
     try {
       // ファイル名と拡張子のチェック
-      const extension_result = this.validate_file_extension(file)
+      const extension_result = this.validate_file_extension(file, { content_detected })
       if (!extension_result.valid) {
         return extension_result
       }
@@ -64,10 +73,12 @@ export class SecurityValidator {
 
   /**
    * ファイル拡張子を検証
+   * 内容からSNS種別を確定できた場合は、ファイル名によるSNS別の検証を行わない
    * @param {File} file - 検証対象ファイル
+   * @param {Object} options - オプション（content_detected: 内容からSNS種別を確定できた場合はtrue）
    * @returns {ValidationResult} 検証結果
    */
-  validate_file_extension(file) {
+  validate_file_extension(file, { content_detected = false } = {}) {
     const file_name = file.name.toLowerCase()
     const has_valid_extension = this.ALLOWED_EXTENSIONS.some(ext => 
       file_name.endsWith(ext)
@@ -85,20 +96,30 @@ export class SecurityValidator {
     }
 
     // SNS別の追加検証
-    if (file_name.endsWith('.js')) {
-      // Twitterエクスポートファイルかチェック
-      if (!file_name.includes('tweet')) {
+    if (content_detected) {
+      // 名前を変えたファイルでも、内容から判定できていれば受け付ける
+    } else if (file_name.endsWith('.js')) {
+      // Twitterエクスポートファイル（tweets.js / like.js）かチェック
+      if (!file_name.includes('tweet') && !file_name.includes('like')) {
         return {
           valid: false,
           message: `選択されたファイルはTwitterエクスポートデータではない可能性があります。`
         }
       }
     } else if (file_name.endsWith('.json')) {
-      // Mastodonファイルかチェック（outbox.jsonを期待）
-      if (!file_name.includes('outbox')) {
+      // Mastodon・Misskey・Threadsファイルかチェック（outbox.json・notes-*.json・threads_and_replies.jsonを期待）
+      if (!file_name.includes('outbox') && !file_name.includes('notes') && !file_name.includes('threads')) {
+        return {
+          valid: false,
+          message: `Mastodonのエクスポートファイルはoutbox.json、Misskeyのエクスポートファイルはnotes-*.json、Threadsのエクスポートファイルはthreads_and_replies.jsonである必要があります。`
+        }
+      }
+    } else if (file_name.endsWith('.html')) {
+      // HTML形式のエクスポートはThreadsのみ（threads_and_replies.htmlを期待）
+      if (!file_name.includes('threads')) {
         return {
           valid: false,
-          message: `Mastodonのエクスポートファイルはoutbox.jsonである必要があります。`
+          message: `ThreadsのHTML形式のエクスポートファイルはthreads_and_replies.htmlである必要があります。`
         }
       }
     } else if (file_name.endsWith('.csv')) {
@@ -106,6 +127,7 @@ export class SecurityValidator {
       // CSVファイルの詳細な検証は後続の処理で実施
     }
     // .carファイルの場合は特別な検証は不要（Blueskyは.car形式のみ）
+    // .zip・.tar.gzファイルの中身はインポーター側で検証する
 
     return { valid: true }
   }
@@ -121,7 +143,10 @@ export class SecurityValidator {
     let file_type = ''
 
     if (file_name.endsWith('.js')) {
-      max_size = this.MAX_JS_SIZE
+      // tweets.jsはチャンクごとに読み込むため上限を設けない
+      if (!file_name.includes('tweet')) {
+        max_size = this.MAX_JS_SIZE
+      }
       file_type = 'JavaScript'
     } else if (file_name.endsWith('.car')) {
       max_size = this.MAX_CAR_SIZE
@@ -129,9 +154,21 @@ export class SecurityValidator {
     } else if (file_name.endsWith('.json')) {
       max_size = this.MAX_JSON_SIZE
       file_type = 'JSON'
+    } else if (file_name.endsWith('.jsonl')) {
+      max_size = this.MAX_JSONL_SIZE
+      file_type = 'JSONL'
+    } else if (file_name.endsWith('.html')) {
+      max_size = this.MAX_HTML_SIZE
+      file_type = 'HTML'
     } else if (file_name.endsWith('.csv')) {
       max_size = this.MAX_CSV_SIZE
       file_type = 'CSV'
+    } else if (file_name.endsWith('.zip')) {
+      max_size = this.MAX_ZIP_SIZE
+      file_type = 'ZIP'
+    } else if (file_name.endsWith('.tar.gz') || file_name.endsWith('.tgz')) {
+      max_size = this.MAX_TAR_GZ_SIZE
+      file_type = 'tar.gz'
     }
 
     if (max_size > 0 && file.size > max_size) {
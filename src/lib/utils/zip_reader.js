@@ -0,0 +1,296 @@
+import pako from 'pako'
+
+// ZIPフォーマットのシグネチャ
+const SIGNATURE_EOCD = 0x06054b50
+const SIGNATURE_ZIP64_EOCD = 0x06064b50
+const SIGNATURE_ZIP64_LOCATOR = 0x07064b50
+const SIGNATURE_CENTRAL_DIRECTORY = 0x02014b50
+const SIGNATURE_LOCAL_HEADER = 0x04034b50
+
+// 圧縮方式
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+
+// ストリームで展開する際に一度に読み込む圧縮データのバイト数
+const STREAM_CHUNK_SIZE = 1024 * 1024
+
+/**
+ * ZIPアーカイブリーダー
+ * File.slice()で必要な範囲だけを読み込むため、数GBのアーカイブでも全体をメモリに載せない
+ */
+export class ZipArchive {
+  /**
+   * コンストラクタ
+   * @param {File|Blob} file - ZIPファイル
+   */
+  constructor(file) {
+    this.file = file
+    this.entries = []
+  }
+
+  /**
+   * ZIPファイルを開いてエントリ一覧を読み込む
+   * @param {File|Blob} file - ZIPファイル
+   * @returns {Promise<ZipArchive>} ZipArchiveインスタンス
+   */
+  static async open(file) {
+    const archive = new ZipArchive(file)
+    await archive.read_central_directory()
+    return archive
+  }
+
+  /**
+   * 指定範囲のバイト列を読み込む
+   * @param {number} start - 開始位置
+   * @param {number} length - 長さ
+   * @returns {Promise<DataView>} DataView
+   */
+  async read_range(start, length) {
+    const buffer = await this.file.slice(start, start + length).arrayBuffer()
+    return new DataView(buffer)
+  }
+
+  /**
+   * セントラルディレクトリを読み込んでエントリ一覧を構築
+   * @returns {Promise<void>}
+   */
+  async read_central_directory() {
+    const { cd_offset, cd_size, total_entries } = await this.find_end_of_central_directory()
+
+    const view = await this.read_range(cd_offset, cd_size)
+    const decoder = new TextDecoder('utf-8')
+    const entries = []
+    let pos = 0
+
+    for (let i = 0; i < total_entries; i++) {
+      if (view.getUint32(pos, true) !== SIGNATURE_CENTRAL_DIRECTORY) {
+        throw new Error('ZIPファイルのセントラルディレクトリが破損しています')
+      }
+
+      const method = view.getUint16(pos + 10, true)
+      let compressed_size = view.getUint32(pos + 20, true)
+      let uncompressed_size = view.getUint32(pos + 24, true)
+      const name_length = view.getUint16(pos + 28, true)
+      const extra_length = view.getUint16(pos + 30, true)
+      const comment_length = view.getUint16(pos + 32, true)
+      let local_header_offset = view.getUint32(pos + 42, true)
+
+      const name_bytes = new Uint8Array(view.buffer, view.byteOffset + pos + 46, name_length)
+      const name = decoder.decode(name_bytes)
+
+      // ZIP64拡張フィールド（4GBを超えるサイズ・オフセット）
+      if (compressed_size === 0xffffffff || uncompressed_size === 0xffffffff || local_header_offset === 0xffffffff) {
+        let extra_pos = pos + 46 + name_length
+        const extra_end = extra_pos + extra_length
+
+        while (extra_pos + 4 <= extra_end) {
+          const header_id = view.getUint16(extra_pos, true)
+          const data_size = view.getUint16(extra_pos + 2, true)
+
+          if (header_id === 0x0001) {
+            let field_pos = extra_pos + 4
+            if (uncompressed_size === 0xffffffff) {
+              uncompressed_size = Number(view.getBigUint64(field_pos, true))
+              field_pos += 8
+            }
+            if (compressed_size === 0xffffffff) {
+              compressed_size = Number(view.getBigUint64(field_pos, true))
+              field_pos += 8
+            }
+            if (local_header_offset === 0xffffffff) {
+              local_header_offset = Number(view.getBigUint64(field_pos, true))
+            }
+            break
+          }
+
+          extra_pos += 4 + data_size
+        }
+      }
+
+      entries.push({
+        name,
+        method,
+        compressed_size,
+        uncompressed_size,
+        local_header_offset,
+        is_directory: name.endsWith('/')
+      })
+
+      pos += 46 + name_length + extra_length + comment_length
+    }
+
+    this.entries = entries
+  }
+
+  /**
+   * End of Central Directoryレコードを探す
+   * @returns {Promise<Object>} セントラルディレクトリの位置情報
+   */
+  async find_end_of_central_directory() {
+    const file_size = this.file.size
+    // EOCDは末尾22バイト + 最大65535バイトのコメント内にある
+    const search_length = Math.min(file_size, 22 + 0xffff)
+    const search_start = file_size - search_length
+    const view = await this.read_range(search_start, search_length)
+
+    for (let pos = search_length - 22; pos >= 0; pos--) {
+      if (view.getUint32(pos, true) !== SIGNATURE_EOCD) continue
+
+      let total_entries = view.getUint16(pos + 10, true)
+      let cd_size = view.getUint32(pos + 12, true)
+      let cd_offset = view.getUint32(pos + 16, true)
+
+      // ZIP64形式の場合はロケーターからZIP64 EOCDを読む
+      if (pos >= 20 && view.getUint32(pos - 20, true) === SIGNATURE_ZIP64_LOCATOR) {
+        const zip64_eocd_offset = Number(view.getBigUint64(pos - 20 + 8, true))
+        const zip64_view = await this.read_range(zip64_eocd_offset, 56)
+
+        if (zip64_view.getUint32(0, true) === SIGNATURE_ZIP64_EOCD) {
+          total_entries = Number(zip64_view.getBigUint64(32, true))
+          cd_size = Number(zip64_view.getBigUint64(40, true))
+          cd_offset = Number(zip64_view.getBigUint64(48, true))
+        }
+      }
+
+      return { total_entries, cd_size, cd_offset }
+    }
+
+    throw new Error('ZIPファイルとして認識できませんでした。ファイルが破損している可能性があります。')
+  }
+
+  /**
+   * エントリを名前で検索
+   * @param {RegExp|Function} matcher - エントリ名に対する正規表現または判定関数
+   * @returns {Array<Object>} 一致したエントリ
+   */
+  find_entries(matcher) {
+    const test = typeof matcher === 'function' ? matcher : (name) => matcher.test(name)
+    return this.entries.filter(entry => !entry.is_directory && test(entry.name))
+  }
+
+  /**
+   * エントリの圧縮データの開始位置を取得
+   * @param {Object} entry - エントリ
+   * @returns {Promise<number>} 圧縮データの開始位置
+   */
+  async get_entry_data_start(entry) {
+    const header = await this.read_range(entry.local_header_offset, 30)
+    if (header.getUint32(0, true) !== SIGNATURE_LOCAL_HEADER) {
+      throw new Error(`ZIPエントリのヘッダーが破損しています: ${entry.name}`)
+    }
+
+    const name_length = header.getUint16(26, true)
+    const extra_length = header.getUint16(28, true)
+    return entry.local_header_offset + 30 + name_length + extra_length
+  }
+
+  /**
+   * エントリの内容をバイト列として読み込む
+   * @param {Object} entry - エントリ
+   * @returns {Promise<Uint8Array>} 展開後のバイト列
+   */
+  async read_entry_bytes(entry) {
+    const data_start = await this.get_entry_data_start(entry)
+
+    const buffer = await this.file.slice(data_start, data_start + entry.compressed_size).arrayBuffer()
+    const compressed = new Uint8Array(buffer)
+
+    switch (entry.method) {
+      case METHOD_STORED:
+        return compressed
+      case METHOD_DEFLATE:
+        return pako.inflateRaw(compressed)
+      default:
+        throw new Error(`未対応の圧縮方式です（method: ${entry.method}）: ${entry.name}`)
+    }
+  }
+
+  /**
+   * エントリの内容をストリームで読み込む
+   * 圧縮データをSTREAM_CHUNK_SIZEずつ読み込んで展開するため、展開後のサイズが大きくても全体をメモリに載せない
+   * @param {Object} entry - エントリ
+   * @returns {ReadableStream<Uint8Array>} 展開後のバイト列のストリーム
+   */
+  read_entry_stream(entry) {
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+      throw new Error(`未対応の圧縮方式です（method: ${entry.method}）: ${entry.name}`)
+    }
+
+    const file = this.file
+    const inflator = entry.method === METHOD_DEFLATE ? new pako.Inflate({ raw: true }) : null
+    let position = null
+    let data_end = 0
+
+    return new ReadableStream({
+      start: async () => {
+        position = await this.get_entry_data_start(entry)
+        data_end = position + entry.compressed_size
+      },
+      pull: async (controller) => {
+        // 展開結果が出力されるまで圧縮データを読み進める
+        while (position < data_end) {
+          const chunk_end = Math.min(position + STREAM_CHUNK_SIZE, data_end)
+          const chunk = new Uint8Array(await file.slice(position, chunk_end).arrayBuffer())
+          position = chunk_end
+
+          if (!inflator) {
+            controller.enqueue(chunk)
+            return
+          }
+
+          const outputs = []
+          inflator.onData = (output) => outputs.push(output)
+          inflator.push(chunk, position >= data_end)
+
+          if (inflator.err) {
+            throw new Error(`ZIPエントリの展開に失敗しました: ${entry.name}`)
+          }
+
+          if (outputs.length > 0) {
+            for (const output of outputs) {
+              controller.enqueue(output)
+            }
+            return
+          }
+        }
+
+        controller.close()
+      }
+    })
+  }
+
+  /**
+   * エントリをFileの代わりに読み込めるオブジェクトとして開く
+   * JsonArrayStreamなど、stream()とsizeだけを使う読み込み処理に渡す
+   * @param {Object} entry - エントリ
+   * @returns {Object} { name, size: 展開後のサイズ, stream: 展開後のバイト列のストリームを返す関数 }
+   */
+  open_entry(entry) {
+    return {
+      name: entry.name,
+      size: entry.uncompressed_size,
+      stream: () => this.read_entry_stream(entry)
+    }
+  }
+
+  /**
+   * エントリの内容をUTF-8テキストとして読み込む
+   * @param {Object} entry - エントリ
+   * @returns {Promise<string>} テキスト
+   */
+  async read_entry_text(entry) {
+    const bytes = await this.read_entry_bytes(entry)
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+
+  /**
+   * エントリの内容をBlobとして読み込む
+   * @param {Object} entry - エントリ
+   * @param {string} type - MIMEタイプ
+   * @returns {Promise<Blob>} Blob
+   */
+  async read_entry_blob(entry, type = '') {
+    const bytes = await this.read_entry_bytes(entry)
+    return new Blob([bytes], { type })
+  }
+}
@@ -0,0 +1,30 @@
+import { import_service } from '../services/import_service.js'
+
+/**
+ * インポート用Web Worker
+ * ファイルの読み込み・JSON/CBORの解析・統一スキーマへの変換・バッチごとの保存をメインスレッド外で行い、
+ * 進捗イベントと結果をメインスレッドへ送る
+ *
+ * 受信: { type: 'start', sns_type, file, options }
+ * 送信: { type: 'progress', progress } / { type: 'done', result } / { type: 'error', message }
+ */
+self.onmessage = async (event) => {
+  const { type, sns_type, file, options = {} } = event.data || {}
+
+  if (type !== 'start') return
+
+  try {
+    const result = await import_service.import_sns_data(sns_type, file, {
+      ...options,
+      progress_callback: (progress) => {
+        self.postMessage({ type: 'progress', progress })
+      }
+    })
+
+    const { error, ...summary } = result
+
+    self.postMessage({ type: 'done', result: summary })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'インポートに失敗しました' })
+  }
+}
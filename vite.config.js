@@ -20,6 +20,11 @@ export default defineConfig({
     }
   },
   
+  // Web Worker設定（Worker内の動的importを分割できるようESモジュールで出力）
+  worker: {
+    format: 'es'
+  },
+  
   // 開発サーバー設定
   server: {
     port: 8080,